@@ -0,0 +1,197 @@
+// --- Dashboard server ---
+// Serves the Vite build from dist/, the live data files from the data
+// directory, and a small JSON API for editing the hot list and canceled
+// meetings. Replaces `python3 -m http.server` in dist/.
+//
+//   PORT             listen port (default 8080)
+//   DIST_DIR         built dashboard (default ./dist)
+//   DATA_DIR         CSV files written by Database_Script.R (default ./public)
+//   CHANGE_LOG_PATH  append-only list change log (default ./logs/list-changes.jsonl)
+//   DEIDENTIFIED     set to 1 to strip the PHI columns from each cohort's database file
+import http from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createListStore, ApiError, LISTS } from './lists.js';
+import { deidentifyCsv } from '../src/lib/phi.js';
+import { COHORTS } from '../src/config/dashboard.js';
+import { getCohortSchemas, findPathCohort } from '../src/lib/schemas.js';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT ?? 8080);
+const DIST_DIR = path.resolve(root, process.env.DIST_DIR ?? 'dist');
+const DATA_DIR = path.resolve(root, process.env.DATA_DIR ?? 'public');
+const CHANGE_LOG_PATH = path.resolve(root, process.env.CHANGE_LOG_PATH ?? 'logs/list-changes.jsonl');
+const DEIDENTIFIED = process.env.DEIDENTIFIED === '1';
+
+// Only the root cohorts' data files and the snapshots/ and cohorts/ trees are
+// served from DATA_DIR; everything else comes from DIST_DIR. A cohort other
+// than the default keeps its own copy of the data files under cohorts/<id>/.
+const DATA_FILES = new Set(COHORTS.filter(cohort => cohort.dataPath === '').flatMap(cohort => Object.values(getCohortSchemas(cohort)).map(schema => schema.file)));
+const DATA_PREFIXES = ['/snapshots/', '/cohorts/'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+};
+
+const MAX_BODY_BYTES = 10 * 1024;
+
+const store = createListStore({ dataDir: DATA_DIR, changeLogPath: CHANGE_LOG_PATH });
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+};
+
+// An oversized body is not read any further: the 413 goes out with
+// `Connection: close`, so the connection is closed once it has been written.
+const readJsonBody = (req, res) => new Promise((resolve, reject) => {
+    let body = '';
+    let tooLarge = false;
+    req.on('data', chunk => {
+        if (tooLarge) return;
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            tooLarge = true;
+            req.pause();
+            res.setHeader('Connection', 'close');
+            reject(new ApiError(413, 'Request body too large'));
+        }
+    });
+    req.on('end', () => {
+        try {
+            resolve(body ? JSON.parse(body) : {});
+        } catch {
+            reject(new ApiError(400, 'Request body must be JSON'));
+        }
+    });
+    req.on('error', reject);
+});
+
+// The dashboard sends the analyst's name with each edit; fall back to the client address
+const getUser = (req, body) => {
+    const name = typeof body.user === 'string' ? body.user.trim() : '';
+    return name || req.socket.remoteAddress || 'unknown';
+};
+
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        throw new ApiError(400, 'Malformed URL');
+    }
+};
+
+// --- API routes ---
+//   GET    /api/health
+//   GET    /api/changes
+//   GET    /api/lists/:list
+//   POST   /api/lists/:list          { value, user }
+//   DELETE /api/lists/:list/:value   { user }
+const handleApi = async (req, res, pathname) => {
+    const segments = pathname.split('/').filter(Boolean).slice(1).map(decodeSegment);
+
+    if (req.method === 'GET' && segments[0] === 'health') {
+        return sendJson(res, 200, { ok: true, lists: Object.keys(LISTS) });
+    }
+    if (req.method === 'GET' && segments[0] === 'changes' && segments.length === 1) {
+        return sendJson(res, 200, { changes: await store.readChanges() });
+    }
+    if (segments[0] !== 'lists' || !segments[1]) {
+        throw new ApiError(404, 'Not found');
+    }
+
+    const [, list, value] = segments;
+    if (req.method === 'GET' && segments.length === 2) {
+        return sendJson(res, 200, { values: await store.read(list) });
+    }
+    if (req.method === 'POST' && segments.length === 2) {
+        const body = await readJsonBody(req, res);
+        if (typeof body.value !== 'string' || !body.value.trim()) throw new ApiError(400, 'Missing "value"');
+        return sendJson(res, 201, { values: await store.add(list, body.value.trim(), getUser(req, body)) });
+    }
+    if (req.method === 'DELETE' && segments.length === 3) {
+        const body = await readJsonBody(req, res);
+        return sendJson(res, 200, { values: await store.remove(list, value, getUser(req, body)) });
+    }
+    throw new ApiError(405, 'Method not allowed');
+};
+
+// --- Static files ---
+// Responses carry an ETag and Last-Modified so an open dashboard can
+// revalidate the data files cheaply; a matching request gets 304.
+const isNotModified = (req, etag, mtime) => {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) return ifNoneMatch.split(',').some(tag => tag.trim() === etag);
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] ?? '');
+    return !Number.isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+};
+
+const serveStatic = async (req, res, pathname) => {
+    const fileName = path.basename(pathname);
+    const isDataFile = (DATA_FILES.has(fileName) && path.dirname(pathname) === '/') || DATA_PREFIXES.some(prefix => pathname.startsWith(prefix));
+    const baseDir = isDataFile ? DATA_DIR : DIST_DIR;
+    const filePath = path.join(baseDir, path.normalize(pathname === '/' ? '/index.html' : pathname));
+    if (!filePath.startsWith(baseDir + path.sep)) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    try {
+        const { size, mtime } = await stat(filePath);
+        const etag = `W/"${size.toString(16)}-${mtime.getTime().toString(16)}${DEIDENTIFIED ? '-d' : ''}"`;
+        const headers = {
+            ETag: etag,
+            'Last-Modified': mtime.toUTCString(),
+            // Data files change whenever the R pipeline reruns
+            ...(baseDir === DATA_DIR ? { 'Cache-Control': 'no-cache' } : {}),
+        };
+        if (isNotModified(req, etag, mtime)) {
+            res.writeHead(304, headers);
+            return res.end();
+        }
+
+        let content = await readFile(filePath);
+        // Applies to the dist/ copy too, which `vite build` takes from public/
+        const cohort = DEIDENTIFIED ? findPathCohort(COHORTS, pathname) : null;
+        const database = cohort && getCohortSchemas(cohort).database;
+        if (database && fileName === database.file) content = deidentifyCsv(content.toString('utf8'), database);
+        res.writeHead(200, { ...headers, 'Content-Type': CONTENT_TYPES[path.extname(filePath)] ?? 'application/octet-stream' });
+        res.end(content);
+    } catch (e) {
+        if (e.code !== 'ENOENT' && e.code !== 'EISDIR') throw e;
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }
+};
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+        if (pathname.startsWith('/api/')) {
+            await handleApi(req, res, pathname);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            await serveStatic(req, res, pathname);
+        } else {
+            throw new ApiError(405, 'Method not allowed');
+        }
+    } catch (e) {
+        if (e instanceof ApiError) {
+            sendJson(res, e.status, { error: e.message });
+        } else {
+            console.error(`Error handling ${req.method} ${pathname}:`, e);
+            sendJson(res, 500, { error: 'Internal server error' });
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`SVI dashboard serving ${DIST_DIR} on http://0.0.0.0:${PORT} (data: ${DATA_DIR}${DEIDENTIFIED ? ', de-identified' : ''})`);
+});
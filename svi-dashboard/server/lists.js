@@ -0,0 +1,114 @@
+// --- Hot list and canceled meeting storage ---
+// Both lists are single-column CSV files in the data directory that
+// Database_Script.R reads when it rebuilds analysis_scheduler.csv. Every
+// change is appended to a JSON-lines change log. The lists belong to the
+// cohort of the dashboard config that sets `editableLists`.
+import { readFile, writeFile, appendFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { loadCsv, isValidDate } from '../src/lib/csv.js';
+import { COHORTS } from '../src/config/dashboard.js';
+import { getCohortSchemas } from '../src/lib/schemas.js';
+
+const schemas = getCohortSchemas(COHORTS.find(cohort => cohort.editableLists));
+
+export class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+const readSampleIds = async (dataDir) => {
+    const text = await readFile(path.join(dataDir, schemas.database.file), 'utf8');
+    return new Set(loadCsv(text, schemas.database).data.map(row => row['Sample ID']));
+};
+
+export const LISTS = {
+    hotlist: {
+        schema: schemas.hotList,
+        column: 'Sample ID',
+        validate: async (value, { dataDir }) => {
+            const sampleIds = await readSampleIds(dataDir);
+            if (!sampleIds.has(value)) throw new ApiError(400, `Unknown sample "${value}"`);
+        },
+    },
+    'canceled-meetings': {
+        schema: schemas.canceledMeetings,
+        column: 'Date',
+        validate: async (value) => {
+            if (!isValidDate(value)) throw new ApiError(400, `Expected a YYYY-MM-DD date, got "${value}"`);
+        },
+        sort: (a, b) => a.localeCompare(b),
+    },
+};
+
+export const createListStore = ({ dataDir, changeLogPath }) => {
+    // Serialize writes so concurrent requests cannot interleave read-modify-write
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const getList = (name) => {
+        const list = LISTS[name];
+        if (!list) throw new ApiError(404, `Unknown list "${name}"`);
+        return list;
+    };
+
+    const read = async (name) => {
+        const { schema, column } = getList(name);
+        let text;
+        try {
+            text = await readFile(path.join(dataDir, schema.file), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        return loadCsv(text, schema).data.map(row => row[column]);
+    };
+
+    const write = async (name, values) => {
+        const { schema, column, sort } = getList(name);
+        const sorted = sort ? [...values].sort(sort) : values;
+        await writeFile(path.join(dataDir, schema.file), [column, ...sorted].join('\n') + '\n');
+        return sorted;
+    };
+
+    const logChange = async (entry) => {
+        await mkdir(path.dirname(changeLogPath), { recursive: true });
+        await appendFile(changeLogPath, JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+    };
+
+    const add = (name, value, user) => enqueue(async () => {
+        await getList(name).validate(value, { dataDir });
+        const values = await read(name);
+        if (values.includes(value)) throw new ApiError(409, `"${value}" is already on the list`);
+        const updated = await write(name, [...values, value]);
+        await logChange({ user, list: name, action: 'add', value });
+        return updated;
+    });
+
+    const remove = (name, value, user) => enqueue(async () => {
+        const values = await read(name);
+        if (!values.includes(value)) throw new ApiError(404, `"${value}" is not on the list`);
+        const updated = await write(name, values.filter(v => v !== value));
+        await logChange({ user, list: name, action: 'remove', value });
+        return updated;
+    });
+
+    const readChanges = async () => {
+        let text;
+        try {
+            text = await readFile(changeLogPath, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        return text.split('\n').filter(Boolean).map(line => JSON.parse(line)).reverse();
+    };
+
+    return { read: (name) => enqueue(() => read(name)), add, remove, readChanges };
+};
@@ -1,135 +1,200 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Search, ChevronDown, ChevronUp, Settings, AlertTriangle, Loader, Dna, DnaOff, ClipboardPlus, ClipboardMinus, MonitorCheck, MonitorOff, RefreshCcw, Zap, ZapOff, FlaskConical, Monitor, ClipboardCheck } from 'lucide-react';
-
-// --- Helper function to parse main CSV data ---
-const parseSviCsv = (csvString) => {
-    const rows = csvString.trim().split('\n');
-    const header = rows[0].split(',').map(h => h.trim().replace(/"/g, '')).slice(1);
-    const dataRows = rows.slice(1); 
-    const data = dataRows.map(row => {
-        const values = row.match(/(".*?"|[^",]+)(?=\s*,|\s*$)/g) || [];
-        const relevantValues = values.slice(1);
-        const obj = {};
-        header.forEach((key, i) => {
-            let value = relevantValues[i] ? relevantValues[i].trim().replace(/"/g, '') : 'NA';
-            obj[key] = (value === 'NA' || value === '') ? 'N/A' : value;
-        });
-        return obj;
-    });
-    return { header, data };
-};
-
-// --- Helper function to parse schedule CSV data ---
-const parseScheduleCsv = (csvString) => {
-    const rows = csvString.trim().split('\n');
-    if (rows.length < 2) return [];
-
-    const header = rows[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    const sampleIdIndex = header.indexOf('Sample ID');
-    const meetingDateIndex = header.indexOf('meeting_date');
-    
-    if (sampleIdIndex === -1 || meetingDateIndex === -1) {
-        console.error("Schedule CSV must contain 'Sample ID' and 'meeting_date' columns.");
-        return [];
-    }
-    
-    return rows.slice(1).map(row => {
-        const values = row.split(',');
-        return {
-            sampleId: values[sampleIdIndex] ? values[sampleIdIndex].replace(/"/g, '') : '',
-            meetingDate: values[meetingDateIndex]
-        };
-    }).filter(item => item.sampleId && item.meetingDate);
-};
-
-
-// --- Analysis Schedule Component ---
-const AnalysisSchedule = ({ scheduleData }) => {
-    const upcomingMeetings = useMemo(() => {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        return scheduleData
-            .map(item => ({
-                ...item,
-                date: new Date(item.meetingDate + "T00:00:00"),
-            }))
-            .filter(item => item.date >= today)
-            .sort((a, b) => a.date - b.date);
-    }, [scheduleData]);
-
-    const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-
-    return (
-        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-            <h2 className="font-franklin text-2xl font-bold text-gray-800 mb-4">Analysis Schedule</h2>
-            <div className="space-y-3 overflow-y-auto" style={{ maxHeight: '250px' }}>
-                {upcomingMeetings.length > 0 ? (
-                    upcomingMeetings.map(({ sampleId, date }, index) => (
-                        <div key={index} className="flex justify-between items-center bg-gray-50 p-3 rounded-lg">
-                            <span className="font-semibold text-gray-700">{sampleId}</span>
-                            <span className="text-sm font-medium text-blue-600">{`${date.toLocaleDateString()} (${daysOfWeek[date.getDay()]})`}</span>
-                        </div>
-                    ))
-                ) : (
-                    <p className="text-gray-500 text-center py-4">No upcoming meetings scheduled.</p>
-                )}
-            </div>
-        </div>
-    );
-}
+import { ShieldCheck, ChevronDown, ChevronRight, Users, Flame, Settings, AlertTriangle, X, Loader, RefreshCcw, Monitor, ListChecks } from 'lucide-react';
+import { fetchDataFile, assignRowKeys, mergeSamples, getRowKey } from './lib/refresh';
+import { loadActivity, createActivityCache, readLastVisit, saveLastVisit } from './lib/activity';
+import { checkApi, addToList, removeFromList, readEditor, saveEditor } from './lib/api';
+import { groupFamilies, getRelation } from './lib/families';
+import { DEFAULT_VIEW, encodeViewState, decodeViewState, normalizeSort } from './lib/viewState';
+import { createRowComparator, toggleSort } from './lib/sort';
+import { SAMPLE_PATH_COLUMNS, withSamplePathFields } from './lib/samplePath';
+import { getSampleAge, getAgingBucket, getOverdueStages } from './lib/turnaround';
+import { isAwaitingReport } from './lib/backlog';
+import { DEFAULT_COHORT, readCohort, getCohortUrl, getStatusFlag, isFlagSet } from './lib/dashboard';
+import { runAudit } from './lib/audit';
+import { parseQuery, matchesQuery, getKnownValues } from './lib/query';
+import { DEFAULT_GRID_LAYOUT, loadGridLayout, saveGridLayout, resolveGridLayout, updateGridColumn, resizeGridColumn, moveGridColumn } from './lib/gridLayout';
+import { REFRESH_CONFIG } from './config/refresh';
+import { GRID_CONFIG, SCHEDULE_GRID_COLUMNS } from './config/grid';
+import { COHORTS, STATUS_FLAGS, SUMMARY_CARDS, STATUS_CHART } from './config/dashboard';
+import { getCohortSchemas, getPhiColumns, getMaskedColumns } from './lib/schemas';
+import DataIssuesPanel from './components/DataIssuesPanel';
+import SampleDetailDrawer from './components/SampleDetailDrawer';
+import AnalysisSchedule from './components/AnalysisSchedule';
+import TurnaroundAnalytics from './components/TurnaroundAnalytics';
+import BacklogTrend from './components/BacklogTrend';
+import SavedViewsPicker from './components/SavedViewsPicker';
+import ExportMenu from './components/ExportMenu';
+import MeetingPacket from './components/MeetingPacket';
+import PhiValue from './components/PhiValue';
+import DataFreshnessBadge from './components/DataFreshnessBadge';
+import ActivityFeed from './components/ActivityFeed';
+import DataAudit from './components/DataAudit';
+import QuerySearchBox from './components/QuerySearchBox';
+import SampleGrid from './components/SampleGrid';
+import GridColumnsMenu from './components/GridColumnsMenu';
+import StorageBreakdown from './components/StorageBreakdown';
+import AgingBuckets from './components/AgingBuckets';
+
+// The audit page lives at #audit so it can be bookmarked and shared
+const readPage = () => (window.location.hash === '#audit' ? 'audit' : 'dashboard');
+
+// Family heads with relatives carry a second line of status pills
+const getGridItemHeight = (item) => (item.family?.members.length > 1 ? GRID_CONFIG.familyRowHeight : GRID_CONFIG.rowHeight);
+
+// The family status pills need more room than the status icons alone
+const FAMILY_STATUS_WIDTH = 330;
+
+// The flag values of a view, keyed by status flag
+const pickFlagFilters = (view) => Object.fromEntries(STATUS_FLAGS.map(flag => [flag.key, view[flag.key]]));
 
 // --- Main Application Component ---
 const App = () => {
+    // The cohort is fixed for the life of the page; see getCohortUrl
+    const [cohort] = useState(() => readCohort(window.location.search));
+    // The same objects on every render, so safe as effect dependencies
+    const schemas = getCohortSchemas(cohort);
+    const phiColumns = useMemo(() => getPhiColumns(schemas.database), [schemas]);
+    const maskedColumns = useMemo(() => getMaskedColumns(schemas.database), [schemas]);
+
     // --- State Management ---
     const [data, setData] = useState([]);
+    const [sviRows, setSviRows] = useState([]);
+    const [dataColumns, setDataColumns] = useState([]);
     const [scheduleData, setScheduleData] = useState([]);
-    const [initialHeader, setInitialHeader] = useState([]);
+    const [hotList, setHotList] = useState([]);
+    const [canceledDates, setCanceledDates] = useState([]);
+    const [dataIssues, setDataIssues] = useState([]);
+    const [canEdit, setCanEdit] = useState(false);
+    const [editor, setEditor] = useState(readEditor);
+    const [listError, setListError] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
-    const [searchTerm, setSearchTerm] = useState('');
-    const [sortConfig, setSortConfig] = useState({ key: 'Date Received', direction: 'descending' });
+    // Filters, sort and search start from the URL so links can be shared
+    const [initialView] = useState(() => decodeViewState(window.location.search));
+    const [searchTerm, setSearchTerm] = useState(initialView.search);
+    const [sortKeys, setSortKeys] = useState(initialView.sort);
     
     // --- Filter States ---
-    const [identifierFilter, setIdentifierFilter] = useState('All');
-    const [probandFilter, setProbandFilter] = useState('1');
-    const [geneyxFilter, setGeneyxFilter] = useState('All');
-    const [reportFilter, setReportFilter] = useState('All');
-    const [processedFilter, setProcessedFilter] = useState('All');
+    const [identifierFilter, setIdentifierFilter] = useState(initialView.identifier);
+    // Status flag key → '1', '0' or 'All'
+    const [flagFilters, setFlagFilters] = useState(() => pickFlagFilters(initialView));
+    const [volumeFilter, setVolumeFilter] = useState(initialView.volume);
+    const [chemistryFilter, setChemistryFilter] = useState(initialView.chemistry);
+    const [agingFilter, setAgingFilter] = useState(initialView.aging);
+
+    const [selectedSample, setSelectedSample] = useState(null);
+    const [groupByFamily, setGroupByFamily] = useState(false);
+    const [expandedFamilies, setExpandedFamilies] = useState(() => new Set());
+    const [chartUnit, setChartUnit] = useState('samples');
+    const [packetDate, setPacketDate] = useState(null);
+
+    // --- PHI State ---
+    // Identifiers are masked until revealed per row. De-identified mode (for
+    // screen-sharing) drops PHI from the table, search and exports, and is
+    // forced when the data was served without the PHI columns. Reveals are
+    // kept by row key, so a background refresh does not mask them again.
+    const [deidentifiedMode, setDeidentifiedMode] = useState(false);
+    const [revealedRows, setRevealedRows] = useState(() => new Set());
+
+    // The list API edits the files at the root of the data directory
+    useEffect(() => {
+        checkApi().then(available => setCanEdit(available && cohort.editableLists));
+    }, [cohort]);
 
+    useEffect(() => {
+        document.title = cohort.title;
+    }, [cohort]);
+
+    const [page, setPage] = useState(readPage);
 
     useEffect(() => {
-        Promise.all([
-            fetch('/svi_database.csv'),
-            fetch('/analysis_scheduler.csv')
-        ])
-        .then(async ([sviResponse, scheduleResponse]) => {
-            if (!sviResponse.ok) throw new Error(`Could not load main database: ${sviResponse.statusText}`);
-            if (!scheduleResponse.ok) throw new Error(`Could not load schedule: ${scheduleResponse.statusText}`);
-
-            const sviText = await sviResponse.text();
-            const scheduleText = await scheduleResponse.text();
-
-            return { sviText, scheduleText };
-        })
-        .then(({ sviText, scheduleText }) => {
-            const { header, data: rawData } = parseSviCsv(sviText);
-            const schedule = parseScheduleCsv(scheduleText);
-            
-            const preFilteredData = rawData.filter(row => {
-                const isSampleIdNA = row['Sample ID'] === 'N/A';
-                const isDateReceivedNA = row['Date Received'] === 'N/A';
-                const isMrnNA = row['MRN'] === 'N/A';
-                const isAgenIdNA = row['AGen ID'] === 'N/A';
-                return !(isSampleIdNA && isDateReceivedNA && isMrnNA && isAgenIdNA);
-            });
+        const handleHashChange = () => setPage(readPage());
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
 
-            setInitialHeader(header);
-            setData(preFilteredData);
-            setScheduleData(schedule);
+    // --- Data Loading ---
+    // The data files are revalidated on an interval and whenever the tab
+    // becomes visible again. Only files the server reports as changed are
+    // parsed and applied, so list edits made through the API are not undone
+    // by an unchanged copy. `filesRef` holds the last load of each file.
+    const filesRef = useRef({});
+    const dataRef = useRef([]);
+    const [updatedAt, setUpdatedAt] = useState(null);
+    const [checkedAt, setCheckedAt] = useState(null);
+    const [refreshing, setRefreshing] = useState(false);
+    const [refreshError, setRefreshError] = useState(null);
+    // Row key → completed stages (or ['New']) since the page was opened
+    const [changedRows, setChangedRows] = useState(() => new Map());
+
+    const loadData = useCallback(() => {
+        const files = filesRef.current;
+        const isInitialLoad = !files[schemas.database.file];
+        // The hot list and canceled meetings only feed the what-if scheduler, so
+        // a missing copy is reported as a data issue rather than a load failure.
+        const sources = [
+            { schema: schemas.database, required: true },
+            { schema: schemas.schedule, required: true },
+            { schema: schemas.hotList, required: false },
+            { schema: schemas.canceledMeetings, required: false },
+        ];
+
+        setRefreshing(true);
+        return Promise.all(sources.map(({ schema, required }) => fetchDataFile(schema, { required, validators: files[schema.file]?.validators })))
+        .then(([svi, schedule, hotlist, canceled]) => {
+            if (svi) {
+                // Keyed as loaded for the audit, then again once empty rows are dropped
+                assignRowKeys(svi.data);
+                const preFilteredData = svi.data.filter(row => {
+                    const isSampleIdNA = row['Sample ID'] === 'N/A';
+                    const isDateReceivedNA = row['Date Received'] === 'N/A';
+                    const isMrnNA = (row['MRN'] ?? 'N/A') === 'N/A';
+                    const isAgenIdNA = row['AGen ID'] === 'N/A';
+                    return !(isSampleIdNA && isDateReceivedNA && isMrnNA && isAgenIdNA);
+                }).map(withSamplePathFields);
+                assignRowKeys(preFilteredData);
+
+                const { samples, changes } = mergeSamples(dataRef.current, preFilteredData);
+                dataRef.current = samples;
+                setData(samples);
+                setDataColumns(svi.header);
+                setSviRows(svi.data);
+                if (!isInitialLoad && changes.size > 0) setChangedRows(current => new Map([...current, ...changes]));
+                setSelectedSample(current => current && (samples.find(sample => getRowKey(sample) === getRowKey(current)) ?? current));
+                files[schemas.database.file] = svi;
+            }
+            if (schedule) {
+                setScheduleData(schedule.data);
+                files[schemas.schedule.file] = schedule;
+            }
+            if (hotlist) {
+                setHotList(hotlist.data.map(row => row['Sample ID']));
+                files[schemas.hotList.file] = hotlist;
+            }
+            if (canceled) {
+                setCanceledDates(canceled.data.map(row => row.Date));
+                files[schemas.canceledMeetings.file] = canceled;
+            }
+            setDataIssues(sources.flatMap(({ schema }) => files[schema.file]?.issues ?? []));
+
+            // The older of the two pipeline outputs decides how fresh the data is
+            const written = [schemas.database, schemas.schedule]
+                .map(schema => files[schema.file].validators?.lastModified)
+                .filter(Boolean)
+                .map(value => new Date(value));
+            setUpdatedAt(written.length > 0 ? new Date(Math.min(...written)) : null);
+            setCheckedAt(new Date());
+            setRefreshError(null);
         })
+        .finally(() => {
+            setRefreshing(false);
+        });
+    }, [schemas]);
+
+    useEffect(() => {
+        loadData()
         .catch(e => {
             console.error("Error fetching or parsing data:", e);
             setError(e.message);
@@ -137,20 +202,150 @@ const App = () => {
         .finally(() => {
             setLoading(false);
         });
-    }, []);
+    }, [loadData]);
 
-    const visibleColumns = useMemo(() => [
-        'Sample ID', 
-        'Date Received', 
-        'MRN', 
-        'Submitter ID/ Acc. No.', 
-        'Comments', 
-        'AGen ID', 
-        'DataDate',
-        'SamplePath'
-    ], []);
-    
-    const header = useMemo(() => ['Status', ...visibleColumns], [visibleColumns]);
+    // A failed refresh keeps the loaded data and is reported on the badge
+    const refreshData = useCallback(() => {
+        loadData().catch(e => {
+            console.error('Error refreshing data:', e);
+            setRefreshError(e.message);
+        });
+    }, [loadData]);
+
+    useEffect(() => {
+        if (loading || error) return undefined;
+        const timer = setInterval(refreshData, REFRESH_CONFIG.intervalMs);
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') refreshData();
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            clearInterval(timer);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [loading, error, refreshData]);
+
+    // --- Activity Feed ---
+    // The stored visit is read once, before this visit replaces it. Snapshots
+    // are reloaded whenever the pipeline has rewritten the data files.
+    const [lastVisit] = useState(() => readLastVisit(cohort));
+    const [activity, setActivity] = useState(null);
+    const [activityCache] = useState(createActivityCache);
+    const updatedTime = updatedAt?.getTime() ?? null;
+
+    useEffect(() => {
+        if (loading) return undefined;
+        let cancelled = false;
+        loadActivity(cohort, activityCache)
+            .then(result => {
+                if (cancelled) return;
+                setActivity(result);
+                if (result.snapshots.length > 0) saveLastVisit(result.snapshots[result.snapshots.length - 1], cohort);
+            })
+            .catch(e => console.error('Error loading activity snapshots:', e));
+        return () => { cancelled = true; };
+    }, [loading, updatedTime, cohort, activityCache]);
+
+    // Skipped snapshots are listed with the data files' issues
+    const allIssues = useMemo(() => [...dataIssues, ...(activity?.issues ?? [])], [dataIssues, activity]);
+
+    const historyBySample = useMemo(() => {
+        return (activity?.events ?? []).reduce((acc, event) => {
+            if (!acc.has(event.key)) acc.set(event.key, []);
+            acc.get(event.key).push(event);
+            return acc;
+        }, new Map());
+    }, [activity]);
+
+    // --- Data Audit ---
+    // Runs against the rows App hides as well as the samples it shows
+    const auditResults = useMemo(() => runAudit({ rows: sviRows, samples: data, schedule: scheduleData, hotList, cohort }), [sviRows, data, scheduleData, hotList, cohort]);
+    const failingChecks = auditResults.filter(rule => rule.findings.length > 0).length;
+
+    const isStale = updatedAt !== null && checkedAt !== null && checkedAt - updatedAt > REFRESH_CONFIG.staleAfterMs;
+
+    const currentView = useMemo(() => ({
+        search: searchTerm,
+        sort: sortKeys,
+        identifier: identifierFilter,
+        ...flagFilters,
+        volume: volumeFilter,
+        chemistry: chemistryFilter,
+        aging: agingFilter,
+    }), [searchTerm, sortKeys, identifierFilter, flagFilters, volumeFilter, chemistryFilter, agingFilter]);
+
+    // replaceState keeps typing in the search box out of the browser history
+    useEffect(() => {
+        const { pathname, hash } = window.location;
+        const query = encodeViewState(currentView, { cohort: cohort === DEFAULT_COHORT ? null : cohort.id });
+        window.history.replaceState(window.history.state, '', `${pathname}${query}${hash}`);
+    }, [currentView, cohort]);
+
+    const applyView = (view) => {
+        const next = { ...DEFAULT_VIEW, ...view };
+        setSearchTerm(next.search);
+        setSortKeys(normalizeSort(next.sort));
+        setIdentifierFilter(next.identifier);
+        setFlagFilters(pickFlagFilters(next));
+        setVolumeFilter(next.volume);
+        setChemistryFilter(next.chemistry);
+        setAgingFilter(next.aging);
+    };
+
+    const phiServed = useMemo(() => phiColumns.some(column => dataColumns.includes(column)), [phiColumns, dataColumns]);
+    const deidentified = deidentifiedMode || !phiServed;
+
+    // --- Table Layout ---
+    // Edits are saved once they settle, not on every mousemove of a resize; a
+    // layout that was never edited follows the defaults in config/grid.
+    const [gridLayout, setGridLayout] = useState(() => loadGridLayout(cohort));
+    const gridLayoutEdited = useRef(false);
+
+    const editGridLayout = (edit) => {
+        gridLayoutEdited.current = true;
+        setGridLayout(edit);
+    };
+
+    useEffect(() => {
+        if (!gridLayoutEdited.current) return undefined;
+        const timer = setTimeout(() => saveGridLayout(gridLayout, cohort), GRID_CONFIG.saveDelayMs);
+        return () => clearTimeout(timer);
+    }, [gridLayout, cohort]);
+
+    const gridLayoutColumns = useMemo(() => {
+        const available = ['Status', ...dataColumns, ...SAMPLE_PATH_COLUMNS, ...SCHEDULE_GRID_COLUMNS].filter(column => !(deidentified && phiColumns.includes(column)));
+        return resolveGridLayout(gridLayout, available);
+    }, [gridLayout, dataColumns, deidentified, phiColumns]);
+
+    const gridColumns = useMemo(() => gridLayoutColumns
+        .filter(entry => entry.visible)
+        .map(entry => ({
+            ...entry,
+            sortable: entry.column !== 'Status',
+            width: entry.column === 'Status' && groupByFamily ? Math.max(entry.width, FAMILY_STATUS_WIDTH) : entry.width,
+        })), [gridLayoutColumns, groupByFamily]);
+
+    const visibleColumns = useMemo(() => gridColumns.map(entry => entry.column).filter(column => column !== 'Status'), [gridColumns]);
+
+    const hiddenColumns = useMemo(() => (deidentified ? phiColumns : []), [deidentified, phiColumns]);
+    const query = useMemo(() => parseQuery(searchTerm, { hiddenColumns }), [searchTerm, hiddenColumns]);
+    const knownValues = useMemo(() => getKnownValues(data), [data]);
+
+    const exportColumns = useMemo(() => [...dataColumns, ...SAMPLE_PATH_COLUMNS, ...SCHEDULE_GRID_COLUMNS].filter(column => !(deidentified && phiColumns.includes(column))), [dataColumns, deidentified, phiColumns]);
+
+    const scheduleBySample = useMemo(() => {
+        return new Map(scheduleData.map(item => [item['Sample ID'], item]));
+    }, [scheduleData]);
+
+    // Schedule columns are looked up by Sample ID rather than copied into the samples
+    const getCellValue = useCallback((row, column) => {
+        if (SCHEDULE_GRID_COLUMNS.includes(column)) return scheduleBySample.get(row['Sample ID'])?.[column] ?? 'N/A';
+        return row[column] ?? 'N/A';
+    }, [scheduleBySample]);
+
+    const hotListSet = useMemo(() => new Set(hotList), [hotList]);
+
+    const meetingDates = useMemo(() => [...new Set(scheduleData.map(item => item.meeting_date))].sort(), [scheduleData]);
 
     const uniqueIdentifiers = useMemo(() => {
         if (data.length === 0) return [];
@@ -158,273 +353,511 @@ const App = () => {
         return identifiers.sort();
     }, [data]);
 
+    const uniqueVolumes = useMemo(() => [...new Set(data.map(item => item.Volume).filter(volume => volume !== 'N/A'))].sort(), [data]);
+    const uniqueChemistries = useMemo(() => [...new Set(data.map(item => item.Chemistry).filter(chemistry => chemistry !== 'N/A'))].sort(), [data]);
+
     const filteredData = useMemo(() => {
         let dataToProcess = [...data];
 
         if (identifierFilter !== 'All') {
             dataToProcess = dataToProcess.filter(item => item.Identifier === identifierFilter);
         }
-        if (probandFilter !== 'All') {
-            dataToProcess = dataToProcess.filter(item => item.proband === probandFilter);
-        }
-        if (geneyxFilter !== 'All') {
-            dataToProcess = dataToProcess.filter(item => item.geneyx_uploaded === geneyxFilter);
-        }
-        if (reportFilter !== 'All') {
-            dataToProcess = dataToProcess.filter(item => item.report === reportFilter);
+        STATUS_FLAGS.forEach(flag => {
+            const value = flagFilters[flag.key];
+            if (value !== 'All') dataToProcess = dataToProcess.filter(item => flag.value(item) === value);
+        });
+        if (volumeFilter !== 'All') {
+            dataToProcess = dataToProcess.filter(item => item.Volume === volumeFilter);
         }
-        if (processedFilter !== 'All') {
-            const isProcessed = processedFilter === '1';
-            dataToProcess = dataToProcess.filter(item => (item.DataDate !== 'N/A') === isProcessed);
+        if (chemistryFilter !== 'All') {
+            dataToProcess = dataToProcess.filter(item => item.Chemistry === chemistryFilter);
         }
-        
-        if (sortConfig.key) {
-            dataToProcess.sort((a, b) => {
-                const aVal = a[sortConfig.key];
-                const bVal = b[sortConfig.key];
-                if (sortConfig.key === 'Date Received') {
-                    if (aVal === 'N/A') return 1; if (bVal === 'N/A') return -1;
-                    const dateA = new Date(aVal); const dateB = new Date(bVal);
-                    return sortConfig.direction === 'ascending' ? dateA - dateB : dateB - dateA;
-                }
-                if (aVal < bVal) return sortConfig.direction === 'ascending' ? -1 : 1;
-                if (aVal > bVal) return sortConfig.direction === 'ascending' ? 1 : -1;
-                return 0;
+        if (agingFilter !== 'All') {
+            const today = new Date();
+            dataToProcess = dataToProcess.filter(item => {
+                const age = getSampleAge(item, today);
+                return isAwaitingReport(item) && age !== null && getAgingBucket(age)?.key === agingFilter;
             });
         }
+        
+        dataToProcess.sort(createRowComparator(sortKeys, getCellValue, cohort));
 
-        if (!searchTerm) {
+        // A malformed query is reported under the search box and not applied
+        if (query.error) {
             return dataToProcess;
         }
-        return dataToProcess.filter(item =>
-            Object.values(item).some(val =>
-                String(val).toLowerCase().includes(searchTerm.toLowerCase())
-            )
-        );
-    }, [data, searchTerm, sortConfig, identifierFilter, probandFilter, geneyxFilter, reportFilter, processedFilter]);
-
-    const summaryStats = useMemo(() => {
-        if (data.length === 0) return { totalSamples: 0, probandCount: 0, reportedCount: 0, processedCount: 0 };
-        const totalSamples = data.length;
-        const probandCount = data.filter(d => d.proband === '1').length;
-        const reportedCount = data.filter(d => d.report === '1').length;
-        const processedCount = data.filter(d => d.DataDate !== 'N/A').length;
-        
-        return {
-            totalSamples, probandCount, reportedCount, processedCount,
-        };
+        return dataToProcess.filter(item => matchesQuery(item, query, { hiddenColumns }));
+    }, [data, query, sortKeys, getCellValue, cohort, identifierFilter, flagFilters, volumeFilter, chemistryFilter, agingFilter, hiddenColumns]);
+
+    const families = useMemo(() => groupFamilies(data, cohort), [data, cohort]);
+
+    // In family mode a family is listed when any member passes the filters,
+    // in the position of its first matching member.
+    const filteredFamilies = useMemo(() => {
+        if (!groupByFamily) return [];
+        const familyOf = new Map();
+        families.forEach(family => family.members.forEach(member => familyOf.set(member, family)));
+        const listed = new Set();
+        filteredData.forEach(row => {
+            const family = familyOf.get(row);
+            if (family) listed.add(family);
+        });
+        return [...listed];
+    }, [groupByFamily, families, filteredData]);
+
+    // One grid item per table row: `{ key, row, family, isRelative }`
+    const gridItems = useMemo(() => {
+        if (!groupByFamily) return filteredData.map(row => ({ key: getRowKey(row), row, family: null, isRelative: false }));
+        return filteredFamilies.flatMap(family => [
+            { key: family.id, row: family.head, family, isRelative: false },
+            ...(expandedFamilies.has(family.id)
+                ? family.members.slice(1).map(member => ({ key: `${family.id}-${getRowKey(member)}`, row: member, family: null, isRelative: true }))
+                : []),
+        ]);
+    }, [groupByFamily, filteredData, filteredFamilies, expandedFamilies]);
+
+    // One count per SUMMARY_CARDS entry
+    const summaryCounts = useMemo(() => {
+        return SUMMARY_CARDS.map(card => (card.flag ? data.filter(row => isFlagSet(row, card.flag)).length : data.length));
     }, [data]);
 
     const chartData = useMemo(() => {
-        if (data.length === 0) return [];
-        
-        const probandData = data.filter(row => row.proband === '1');
-
-        const groupedData = probandData.reduce((acc, row) => {
-            const identifier = row.Identifier || 'N/A';
-            if (identifier === 'N/A') return acc;
-            
-            if (!acc[identifier]) {
-                acc[identifier] = { total: 0, reported: 0, analyzed: 0 };
+        const { groupBy, unitFlag, stages, pending } = STATUS_CHART;
+
+        // Count either flagged samples or families headed by one. `reached`
+        // holds one entry per stage.
+        const units = chartUnit === 'families'
+            ? families
+                .filter(family => isFlagSet(family.head, unitFlag))
+                .map(family => ({ group: family.head[groupBy], reached: stages.map(stage => family.status[stage.familyStatus]) }))
+            : data
+                .filter(row => isFlagSet(row, unitFlag))
+                .map(row => ({ group: row[groupBy], reached: stages.map(stage => isFlagSet(row, stage.flag)) }));
+
+        const groupedData = units.reduce((acc, { group, reached }) => {
+            if (!group || group === 'N/A') return acc;
+
+            if (!acc[group]) {
+                acc[group] = { name: group, [pending.name]: 0, ...Object.fromEntries(stages.map(stage => [stage.name, 0])) };
             }
 
-            acc[identifier].total += 1;
-
-            const isReported = row.report === '1';
-            const isAnalyzed = row.geneyx_uploaded === '1';
-
-            if (isReported) {
-                acc[identifier].reported += 1;
-                acc[identifier].analyzed += 1;
-            } else if (isAnalyzed) {
-                acc[identifier].analyzed += 1;
-            }
-            
+            // Counted once, in the most advanced stage reached
+            const stage = stages[reached.indexOf(true)];
+            acc[group][stage ? stage.name : pending.name] += 1;
             return acc;
         }, {});
-        
-        return Object.entries(groupedData).map(([name, counts]) => ({
-            name,
-            Reported: counts.reported,
-            Analyzed: counts.analyzed - counts.reported,
-            Pending: counts.total - counts.analyzed,
-        }));
-    }, [data]);
 
-    const handleSort = (key) => {
-        setSortConfig(currentConfig => ({
-            key,
-            direction: currentConfig.key === key && currentConfig.direction === 'ascending' ? 'descending' : 'ascending',
-        }));
+        return Object.values(groupedData);
+    }, [data, families, chartUnit]);
+
+    // Shift-click adds a secondary sort key
+    const handleSort = (key, additive) => {
+        setSortKeys(current => toggleSort(current, key, additive));
     };
     
-    const handleResetFilters = () => {
-        setIdentifierFilter('All');
-        setProbandFilter('1');
-        setGeneyxFilter('All');
-        setReportFilter('All');
-        setProcessedFilter('All');
-        setSearchTerm('');
+    const handleCloseDrawer = useCallback(() => setSelectedSample(null), []);
+    const handleClosePacket = useCallback(() => setPacketDate(null), []);
+
+    // Samples dropped from the database since a feed event can no longer be opened
+    const handleSelectSampleKey = (key) => {
+        const sample = data.find(row => getRowKey(row) === key);
+        if (sample) setSelectedSample(sample);
     };
 
+    // Edits go through the server and the returned list replaces local state.
+    // The published schedule only reflects them after Database_Script.R reruns.
+    const updateList = (list, action, value) => {
+        const setList = list === 'hotlist' ? setHotList : setCanceledDates;
+        const user = editor.trim();
+        setListError(null);
+        (action === 'add' ? addToList(list, value, user) : removeFromList(list, value, user))
+            .then(setList)
+            .catch(e => {
+                console.error(`Error updating ${list}:`, e);
+                setListError(`Could not update the ${list === 'hotlist' ? 'hot list' : 'canceled meetings'}: ${e.message}`);
+            });
+    };
+
+    const handleEditorChange = (e) => {
+        setEditor(e.target.value);
+        saveEditor(e.target.value);
+    };
+
+    const handleCancelMeeting = (date) => {
+        if (window.confirm(`Cancel the analysis meeting on ${date}?`)) updateList('canceled-meetings', 'add', date);
+    };
+
+    const handleRestoreMeeting = (date) => updateList('canceled-meetings', 'remove', date);
+
+    const toggleReveal = (row) => {
+        const key = getRowKey(row);
+        setRevealedRows(current => {
+            const next = new Set(current);
+            if (next.has(key)) next.delete(key); else next.add(key);
+            return next;
+        });
+    };
+
+    const toggleDeidentified = () => {
+        setDeidentifiedMode(on => !on);
+        setRevealedRows(new Set());
+    };
+
+    const toggleFamily = (familyId) => {
+        setExpandedFamilies(current => {
+            const next = new Set(current);
+            if (next.has(familyId)) next.delete(familyId); else next.add(familyId);
+            return next;
+        });
+    };
+
+    // New samples are highlighted green and samples that completed a stage amber
+    const getRowHighlight = (change) => {
+        if (!change) return '';
+        return change.includes('New') ? 'bg-green-50' : 'bg-amber-50';
+    };
+
+    // Days since receipt; red once the sample is past a turnaround target.
+    // Reported samples keep a muted badge.
+    const renderAgeBadge = (row, overdue) => {
+        const age = getSampleAge(row);
+        if (age === null) return null;
+        const title = [
+            `Received ${age} days ago`,
+            ...overdue.map(({ stage, target }) => `Overdue: ${stage.label} (target ${target} days)`),
+        ].join('\n');
+        const color = overdue.length > 0 ? 'bg-red-100 text-red-700' : row.report === '1' ? 'bg-gray-50 text-gray-400' : 'bg-gray-100 text-gray-600';
+        return <span className={`px-1.5 py-0.5 rounded-full text-xs font-medium ${color}`} title={title}>{`${age}d`}</span>;
+    };
+
+    const renderStatusCell = (row, family, isRelative, overdue) => (
+        <td key="Status" className="p-3 text-sm text-gray-700 whitespace-nowrap overflow-hidden">
+            <div className="flex items-center gap-2">
+                {family && (family.members.length > 1 ? (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); toggleFamily(family.id); }}
+                        className="p-0.5 rounded hover:bg-gray-200"
+                        title={expandedFamilies.has(family.id) ? 'Collapse family' : 'Expand family'}
+                    >
+                        {expandedFamilies.has(family.id) ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                    </button>
+                ) : <span className="w-5" />)}
+                {isRelative && <span className="w-5" />}
+                {STATUS_FLAGS.map(flag => {
+                    const isSet = flag.value(row) === '1';
+                    const Icon = isSet ? flag.icons.on : flag.icons.off;
+                    return <span key={flag.key} title={`${flag.label}: ${isSet ? 'Yes' : 'No'}`}><Icon className={isSet ? 'text-green-500' : 'text-red-500'} /></span>;
+                })}
+                {canEdit ? (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); updateList('hotlist', hotListSet.has(row['Sample ID']) ? 'remove' : 'add', row['Sample ID']); }}
+                        className="p-0.5 rounded hover:bg-gray-200"
+                        title={hotListSet.has(row['Sample ID']) ? 'Remove from hot list' : 'Add to hot list'}
+                    >
+                        <Flame className={hotListSet.has(row['Sample ID']) ? 'text-orange-500 fill-orange-200' : 'text-gray-300'} />
+                    </button>
+                ) : (
+                    hotListSet.has(row['Sample ID']) && <span title="On hot list"><Flame className="text-orange-500 fill-orange-200" /></span>
+                )}
+                {renderAgeBadge(row, overdue)}
+            </div>
+            {family && family.members.length > 1 && (
+                <div className="flex items-center gap-1 mt-1 ml-7 text-xs">
+                    <span className="flex items-center text-gray-500 mr-1"><Users className="h-3 w-3 mr-1" />{family.members.length}</span>
+                    {[
+                        ['All sequenced', family.status.allSequenced],
+                        ['Analysis complete', family.status.analysisComplete],
+                        ['Reported', family.status.reported],
+                    ].map(([label, done]) => (
+                        <span key={label} className={`px-1.5 py-0.5 rounded-full ${done ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'}`}>{label}</span>
+                    ))}
+                </div>
+            )}
+        </td>
+    );
+
+    // Cells truncate to the column width; the full value is in the tooltip
+    // except for masked identifiers. Change highlights win over overdue ones.
+    const renderSampleRow = ({ key, row, family, isRelative }) => {
+        const change = changedRows.get(getRowKey(row));
+        const overdue = getOverdueStages(row, cohort.turnaroundTargets);
+        const background = change ? getRowHighlight(change) : overdue.length > 0 ? 'bg-red-50' : (isRelative ? 'bg-gray-50/60' : '');
+        return (
+            <tr key={key} style={{ height: `${getGridItemHeight({ family })}px` }} className={`hover:bg-gray-50 transition-colors cursor-pointer ${background}`} onClick={() => setSelectedSample(row)}>
+                {gridColumns.map(({ column: h }) => (h === 'Status' ? renderStatusCell(row, family, isRelative, overdue) : (
+                    <td key={h} title={maskedColumns.includes(h) ? undefined : getCellValue(row, h)} className={`p-3 text-sm text-gray-700 truncate ${h === 'Sample ID' ? 'font-bold' : ''} ${h === 'Sample ID' && isRelative ? 'pl-8' : ''}`}>
+                        {maskedColumns.includes(h) ? <PhiValue value={row[h]} revealed={revealedRows.has(getRowKey(row))} onToggle={() => toggleReveal(row)} /> : getCellValue(row, h)}
+                        {h === 'Sample ID' && isRelative && <span className="ml-2 text-xs font-normal text-gray-500">{getRelation(row)}</span>}
+                        {h === 'Sample ID' && change && change.map(label => (
+                            <span key={label} className={`ml-2 px-1.5 py-0.5 rounded-full text-xs font-medium ${label === 'New' ? 'bg-green-100 text-green-700' : 'bg-amber-100 text-amber-700'}`}>{label}</span>
+                        ))}
+                    </td>
+                )))}
+            </tr>
+        );
+    };
+
+    // A storage panel row narrows the table to its volume and chemistry
+    const handleSelectStorage = ({ volume, chemistry }) => {
+        setVolumeFilter(volume);
+        setChemistryFilter(chemistry);
+    };
+
+    // Reset keeps the current sort
+    const handleResetFilters = () => applyView({ sort: sortKeys });
+
     // --- Render ---
     if (loading) { return (<div className="flex flex-col justify-center items-center min-h-screen bg-gray-50 text-gray-700"><Loader className="animate-spin h-12 w-12 text-blue-600" /><p className="mt-4 text-lg font-semibold">Loading Lab Data...</p></div>) }
     if (error) { return (<div className="flex flex-col justify-center items-center min-h-screen bg-red-50 text-red-700"><AlertTriangle className="h-12 w-12 text-red-500" /><p className="mt-4 text-xl font-bold">Error Loading Data</p><p className="mt-2 text-sm max-w-md text-center">{error}</p></div>) }
 
     return (
         <div className="bg-gray-50 min-h-screen text-gray-800 font-sans">
-            <header className="bg-white shadow-md">
+            <header className={`bg-white shadow-md ${packetDate ? 'print:hidden' : ''}`}>
                 <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
                     <div>
                         {/* **CHANGE**: Added font-franklin class */}
-                        <h1 className="font-franklin text-3xl font-bold text-gray-900 tracking-tight">Structural Variance Initiative Sample Dashboard</h1>
-                        <p className="font-franklin text-gray-600 mt-1">MCW / CW Division of Genomic Pediatrics</p>
+                        <h1 className="font-franklin text-3xl font-bold text-gray-900 tracking-tight">{cohort.title}</h1>
+                        <p className="font-franklin text-gray-600 mt-1">{cohort.subtitle}</p>
                     </div>
                     <div className="flex items-center space-x-4">
-                        <img src="/mcw.png" alt="MCW Logo" className="h-14" />
-                        <img src="/cw.png" alt="CW Logo" className="h-14" />
+                        {COHORTS.length > 1 && (
+                            <select
+                                value={cohort.id}
+                                onChange={e => window.location.assign(getCohortUrl(COHORTS.find(c => c.id === e.target.value)))}
+                                className="p-2 text-sm border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                title="Switch cohort"
+                                aria-label="Cohort"
+                            >
+                                {COHORTS.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                            </select>
+                        )}
+                        <a
+                            href={page === 'audit' ? '#' : '#audit'}
+                            className={`flex items-center px-3 py-2 border rounded-lg text-sm font-medium whitespace-nowrap transition ${page === 'audit' ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                            title="Checks for inconsistencies between the pipeline outputs"
+                        >
+                            <ListChecks className="h-4 w-4 mr-2" />
+                            {`Data audit${failingChecks > 0 ? ` (${failingChecks})` : ''}`}
+                        </a>
+                        <DataFreshnessBadge
+                            updatedAt={updatedAt}
+                            checkedAt={checkedAt}
+                            isStale={isStale}
+                            refreshing={refreshing}
+                            refreshError={refreshError}
+                            onRefresh={refreshData}
+                        />
+                        <button
+                            onClick={toggleDeidentified}
+                            disabled={!phiServed}
+                            className={`flex items-center px-3 py-2 border rounded-lg text-sm font-medium whitespace-nowrap transition disabled:cursor-not-allowed ${deidentified ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                            title={phiServed ? 'Hide PHI from the table, search and exports for screen-sharing' : 'This dashboard is served without PHI'}
+                        >
+                            <ShieldCheck className="h-4 w-4 mr-2" />
+                            De-identified
+                        </button>
+                        {cohort.logos.map(logo => <img key={logo.src} src={logo.src} alt={logo.alt} className="h-14" />)}
                     </div>
                 </div>
             </header>
 
-            <main className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-                    <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                        {/* **CHANGE**: Added font-franklin class */}
-                        <h3 className="font-franklin text-lg font-semibold text-gray-700 flex items-center"><FlaskConical className="h-5 w-5 mr-2 text-blue-500"/>Total Samples</h3>
-                        <p className="text-4xl font-bold text-blue-600 mt-2">{summaryStats.totalSamples}</p>
-                    </div>
-                    <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                         {/* **CHANGE**: Added font-franklin class */}
-                         <h3 className="font-franklin text-lg font-semibold text-gray-700 flex items-center"><Dna className="h-5 w-5 mr-2 text-green-500"/>Probands</h3>
-                        <p className="text-4xl font-bold text-green-600 mt-2">{summaryStats.probandCount}</p>
-                    </div>
-                    <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                        {/* **CHANGE**: Added font-franklin class */}
-                        <h3 className="font-franklin text-lg font-semibold text-gray-700 flex items-center"><Zap className="h-5 w-5 mr-2 text-yellow-500"/>Processed Samples</h3>
-                        <p className="text-4xl font-bold text-yellow-600 mt-2">{summaryStats.processedCount}</p>
-                    </div>
-                    <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                        {/* **CHANGE**: Added font-franklin class */}
-                        <h3 className="font-franklin text-lg font-semibold text-gray-700 flex items-center"><ClipboardCheck className="h-5 w-5 mr-2 text-indigo-500"/>Reported Samples</h3>
-                        <p className="text-4xl font-bold text-indigo-600 mt-2">{summaryStats.reportedCount}</p>
+            <main className={`container mx-auto px-4 sm:px-6 lg:px-8 py-8 ${packetDate ? 'print:hidden' : ''}`}>
+                {page === 'audit' ? (
+                    <DataAudit results={auditResults} onSelectSample={handleSelectSampleKey} />
+                ) : (
+                    <>
+                    {canEdit && (
+                        <div className="mb-6 flex items-center justify-end gap-2 text-sm text-gray-600">
+                            <label htmlFor="editorName">Editing as</label>
+                            <input id="editorName" type="text" value={editor} onChange={handleEditorChange} placeholder="Your name, for the change log" className="w-56 px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500" />
+                        </div>
+                    )}
+                    {listError && (
+                        <div className="mb-6 p-4 bg-red-50 border border-red-300 rounded-xl flex items-center text-red-700">
+                            <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+                            <span className="flex-1">{listError}</span>
+                            <button onClick={() => setListError(null)} className="ml-2 p-1 rounded hover:bg-red-100" title="Dismiss"><X className="h-4 w-4" /></button>
+                        </div>
+                    )}
+                    {isStale && (
+                        <div className="mb-6 p-4 bg-amber-50 border border-amber-300 rounded-xl flex items-center text-amber-800">
+                            <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+                            {`The data files were last written ${updatedAt.toLocaleString()}. Database_Script.R may not have run since.`}
+                        </div>
+                    )}
+                    <DataIssuesPanel issues={allIssues} />
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+                        {SUMMARY_CARDS.map((card, i) => {
+                            const Icon = card.icon;
+                            return (
+                                <div key={card.label} className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                                    <h3 className="font-franklin text-lg font-semibold text-gray-700 flex items-center"><Icon className={`h-5 w-5 mr-2 ${card.iconClass}`}/>{card.label}</h3>
+                                    <p className={`text-4xl font-bold mt-2 ${card.valueClass}`}>{summaryCounts[i]}</p>
+                                </div>
+                            );
+                        })}
                     </div>
-                </div>
 
-                <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
-                    <div className="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg border border-gray-200 flex flex-col">
-                        <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4 flex-wrap">
-                             {/* **CHANGE**: Added font-franklin class */}
-                             <h2 className="font-franklin text-2xl font-bold text-gray-800">Sample Database</h2>
-                             <div className="relative w-full sm:w-auto">
-                                <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
-                                <input type="text" placeholder="Search..." className="w-full sm:w-56 pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} />
-                             </div>
-                        </div>
-                        
-                        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-4 p-4 bg-gray-50 rounded-lg border">
-                            <div>
-                                <label htmlFor="identifierFilter" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
-                                <select id="identifierFilter" value={identifierFilter} onChange={e => setIdentifierFilter(e.target.value)} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
-                                    <option value="All">All</option>
-                                    {uniqueIdentifiers.map(id => <option key={id} value={id}>{id}</option>)}
-                                </select>
-                            </div>
-                             <div>
-                                <label htmlFor="probandFilter" className="block text-sm font-medium text-gray-700 mb-1">Proband</label>
-                                <select id="probandFilter" value={probandFilter} onChange={e => setProbandFilter(e.target.value)} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
-                                    <option value="All">All</option><option value="1">Yes</option><option value="0">No</option>
-                                </select>
-                            </div>
-                            <div>
-                                <label htmlFor="processedFilter" className="block text-sm font-medium text-gray-700 mb-1">Processed</label>
-                                <select id="processedFilter" value={processedFilter} onChange={e => setProcessedFilter(e.target.value)} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
-                                    <option value="All">All</option><option value="1">Yes</option><option value="0">No</option>
-                                </select>
-                            </div>
-                             <div>
-                                <label htmlFor="geneyxFilter" className="block text-sm font-medium text-gray-700 mb-1">Analyzed</label>
-                                <select id="geneyxFilter" value={geneyxFilter} onChange={e => setGeneyxFilter(e.target.value)} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
-                                    <option value="All">All</option><option value="1">Yes</option><option value="0">No</option>
-                                </select>
+                    <AgingBuckets samples={data} turnaroundTargets={cohort.turnaroundTargets} activeBucket={agingFilter} onSelect={setAgingFilter} />
+
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                        <div className="lg:col-span-2 bg-white p-6 rounded-xl shadow-lg border border-gray-200 flex flex-col">
+                            <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4 flex-wrap">
+                                 {/* **CHANGE**: Added font-franklin class */}
+                                 <h2 className="font-franklin text-2xl font-bold text-gray-800">Sample Database</h2>
+                                 <div className="flex items-center gap-3 w-full sm:w-auto">
+                                    <button
+                                        onClick={() => setGroupByFamily(grouped => !grouped)}
+                                        className={`flex items-center px-3 py-2 border rounded-lg text-sm font-medium whitespace-nowrap transition ${groupByFamily ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                                        title="Nest relatives under their proband"
+                                    >
+                                        <Users className="h-4 w-4 mr-2" />
+                                        Group by family
+                                    </button>
+                                    <GridColumnsMenu
+                                        layout={gridLayoutColumns}
+                                        onToggle={(column) => editGridLayout(layout => updateGridColumn(layout, column, { visible: !gridLayoutColumns.find(entry => entry.column === column).visible }))}
+                                        onMove={(column, target) => editGridLayout(layout => moveGridColumn(layout, column, target))}
+                                        onReset={() => editGridLayout(() => DEFAULT_GRID_LAYOUT)}
+                                    />
+                                    {/* Keyed on the visible columns so the ticked defaults follow the grid */}
+                                    <ExportMenu key={visibleColumns.join('\n')} rows={filteredData} columns={exportColumns} defaultColumns={visibleColumns} getValue={getCellValue} filePrefix={cohort.filePrefix} />
+                                    <QuerySearchBox value={searchTerm} onChange={setSearchTerm} error={query.error} knownValues={knownValues} hiddenColumns={hiddenColumns} />
+                                 </div>
                             </div>
-                             <div>
-                                <label htmlFor="reportFilter" className="block text-sm font-medium text-gray-700 mb-1">Report</label>
-                                <select id="reportFilter" value={reportFilter} onChange={e => setReportFilter(e.target.value)} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
-                                    <option value="All">All</option><option value="1">Yes</option><option value="0">No</option>
-                                </select>
-                            </div>
-                             <div>
-                                <label className="block text-sm font-medium text-gray-700 mb-1 invisible">Reset</label>
-                                <button 
-                                    onClick={handleResetFilters}
-                                    className="w-full flex items-center justify-center p-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                                    title="Reset all filters"
-                                >
-                                    <RefreshCcw className="h-4 w-4 mr-2" />
-                                    Reset
-                                </button>
+                        
+                            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-5 gap-4 mb-4 p-4 bg-gray-50 rounded-lg border">
+                                <div>
+                                    <label htmlFor="identifierFilter" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                                    <select id="identifierFilter" value={identifierFilter} onChange={e => setIdentifierFilter(e.target.value)} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
+                                        <option value="All">All</option>
+                                        {uniqueIdentifiers.map(id => <option key={id} value={id}>{id}</option>)}
+                                    </select>
+                                </div>
+                                {STATUS_FLAGS.map(flag => (
+                                    <div key={flag.key}>
+                                        <label htmlFor={`${flag.key}Filter`} className="block text-sm font-medium text-gray-700 mb-1">{flag.label}</label>
+                                        <select id={`${flag.key}Filter`} value={flagFilters[flag.key]} onChange={e => setFlagFilters(current => ({ ...current, [flag.key]: e.target.value }))} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
+                                            <option value="All">All</option><option value="1">Yes</option><option value="0">No</option>
+                                        </select>
+                                    </div>
+                                ))}
+                                <div>
+                                    <label htmlFor="volumeFilter" className="block text-sm font-medium text-gray-700 mb-1">Volume</label>
+                                    <select id="volumeFilter" value={volumeFilter} onChange={e => setVolumeFilter(e.target.value)} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
+                                        <option value="All">All</option>
+                                        {uniqueVolumes.map(volume => <option key={volume} value={volume}>{volume}</option>)}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label htmlFor="chemistryFilter" className="block text-sm font-medium text-gray-700 mb-1">Chemistry</label>
+                                    <select id="chemistryFilter" value={chemistryFilter} onChange={e => setChemistryFilter(e.target.value)} className="w-full p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500">
+                                        <option value="All">All</option>
+                                        {uniqueChemistries.map(chemistry => <option key={chemistry} value={chemistry}>{chemistry}</option>)}
+                                    </select>
+                                </div>
+                                 <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1 invisible">Reset</label>
+                                    <button 
+                                        onClick={handleResetFilters}
+                                        className="w-full flex items-center justify-center p-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                                        title="Reset all filters"
+                                    >
+                                        <RefreshCcw className="h-4 w-4 mr-2" />
+                                        Reset
+                                    </button>
+                                </div>
+                                <div className="col-span-2">
+                                    <label htmlFor="savedViews" className="block text-sm font-medium text-gray-700 mb-1">Saved views</label>
+                                    <SavedViewsPicker cohort={cohort} currentView={currentView} onApply={applyView} />
+                                </div>
                             </div>
-                        </div>
 
-                        <div className="overflow-auto rounded-lg border border-gray-200" style={{ maxHeight: '650px' }}>
-                            <table className="w-full text-left table-auto">
-                                <thead className="bg-gray-100">
-                                    <tr>
-                                        {header.map(h => (
-                                            <th key={h} className="p-3 text-sm font-semibold tracking-wide cursor-pointer sticky top-0 bg-gray-100 z-10" onClick={() => h !== 'Status' && handleSort(h)}>
-                                                <div className="flex items-center gap-1">{h}{sortConfig.key === h && h !== 'Status' ? (sortConfig.direction === 'ascending' ? <ChevronUp size={16} /> : <ChevronDown size={16} />) : h !== 'Status' && <span className="opacity-30"><ChevronDown size={16} /></span>}</div>
-                                            </th>
-                                        ))}
-                                    </tr>
-                                </thead>
-                                <tbody className="divide-y divide-gray-200">
-                                    {filteredData.length > 0 ? (
-                                        filteredData.map((row, index) => (
-                                            <tr key={row['Sample ID'] || index} className="hover:bg-gray-50 transition-colors">
-                                                <td className="p-3 text-sm text-gray-700 whitespace-nowrap">
-                                                    <div className="flex items-center gap-2">
-                                                        <span title={`Proband: ${row.proband === '1' ? 'Yes' : 'No'}`}>{row.proband === '1' ? <Dna className="text-green-500" /> : <DnaOff className="text-red-500" />}</span>
-                                                        <span title={`Processed: ${row.DataDate !== 'N/A' ? 'Yes' : 'No'}`}>{row.DataDate !== 'N/A' ? <Zap className="text-green-500" /> : <ZapOff className="text-red-500" />}</span>
-                                                        <span title={`Analyzed: ${row.geneyx_uploaded === '1' ? 'Yes' : 'No'}`}>{row.geneyx_uploaded === '1' ? <MonitorCheck className="text-green-500" /> : <MonitorOff className="text-red-500" />}</span>
-                                                        <span title={`Report: ${row.report === '1' ? 'Yes' : 'No'}`}>{row.report === '1' ? <ClipboardPlus className="text-green-500" /> : <ClipboardMinus className="text-red-500" />}</span>
-                                                    </div>
-                                                </td>
-                                                {visibleColumns.map(h => (
-                                                    <td key={`${row['Sample ID']}-${h}`} className={`p-3 text-sm text-gray-700 whitespace-nowrap ${h === 'Sample ID' ? 'font-bold' : ''}`}>{row[h]}</td>
-                                                ))}
-                                            </tr>
-                                        ))
-                                    ) : (
-                                        <tr><td colSpan={header.length} className="text-center py-8 text-gray-500">No results found.</td></tr>
-                                    )}
-                                </tbody>
-                            </table>
+                            {changedRows.size > 0 && (
+                                <div className="flex justify-between items-center mb-3 px-3 py-2 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+                                    <span>{`${changedRows.size} sample${changedRows.size === 1 ? ' is' : 's are'} new or updated since this page was opened.`}</span>
+                                    <button onClick={() => setChangedRows(new Map())} className="font-medium hover:underline">Clear highlights</button>
+                                </div>
+                            )}
+
+                            <SampleGrid
+                                items={gridItems}
+                                getItemHeight={getGridItemHeight}
+                                renderItem={renderSampleRow}
+                                columns={gridColumns}
+                                sortKeys={sortKeys}
+                                onSort={handleSort}
+                                onResizeColumn={(column, width) => editGridLayout(layout => resizeGridColumn(layout, column, width))}
+                                onMoveColumn={(column, target) => editGridLayout(layout => moveGridColumn(layout, column, target))}
+                                emptyMessage="No results found."
+                            />
                         </div>
-                    </div>
                     
-                    <div className="space-y-8">
-                        <AnalysisSchedule scheduleData={scheduleData} />
-                        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                             {/* **CHANGE**: Added font-franklin class */}
-                             <h2 className="font-franklin text-2xl font-bold text-gray-800 mb-4">Proband Status</h2>
-                            <div style={{ width: '100%', height: 300 }}>
-                                <ResponsiveContainer>
-                                    <BarChart data={chartData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
-                                        <CartesianGrid strokeDasharray="3 3" />
-                                        <XAxis dataKey="name" />
-                                        <YAxis allowDecimals={false} stackId="a" />
-                                        <Tooltip />
-                                        <Bar dataKey="Pending" stackId="a" fill="#a1a1aa" name="Pending Analysis" />
-                                        <Bar dataKey="Analyzed" stackId="a" fill="#facc15" name="Analyzed" />
-                                        <Bar dataKey="Reported" stackId="a" fill="#22c55e" name="Reported" />
-                                    </BarChart>
-                                </ResponsiveContainer>
+                        <div className="space-y-8">
+                            <AnalysisSchedule scheduleData={scheduleData} samples={data} hotList={hotList} canceledDates={canceledDates} cohort={cohort} onCancelMeeting={canEdit ? handleCancelMeeting : null} onRestoreMeeting={canEdit ? handleRestoreMeeting : null} onOpenPacket={setPacketDate} />
+                            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                                 {/* **CHANGE**: Added font-franklin class */}
+                                 <div className="flex justify-between items-center mb-4">
+                                    <h2 className="font-franklin text-2xl font-bold text-gray-800">{`${getStatusFlag(STATUS_CHART.unitFlag).label} Status`}</h2>
+                                    <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                                        {[['samples', 'Samples'], ['families', 'Families']].map(([unit, label]) => (
+                                            <button key={unit} onClick={() => setChartUnit(unit)} className={`px-3 py-1 ${chartUnit === unit ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>{label}</button>
+                                        ))}
+                                    </div>
+                                 </div>
+                                <div style={{ width: '100%', height: 300 }}>
+                                    <ResponsiveContainer>
+                                        <BarChart data={chartData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                                            <CartesianGrid strokeDasharray="3 3" />
+                                            <XAxis dataKey="name" />
+                                            <YAxis allowDecimals={false} stackId="a" />
+                                            <Tooltip />
+                                            {[STATUS_CHART.pending, ...[...STATUS_CHART.stages].reverse()].map(({ name, label, fill }) => (
+                                                <Bar key={name} dataKey={name} stackId="a" fill={fill} name={label ?? name} />
+                                            ))}
+                                        </BarChart>
+                                    </ResponsiveContainer>
+                                </div>
                             </div>
+                            <StorageBreakdown samples={data} onSelect={handleSelectStorage} />
                         </div>
                     </div>
-                </div>
+
+                    <ActivityFeed activity={activity} lastVisit={lastVisit} onSelectSample={handleSelectSampleKey} />
+
+                    <TurnaroundAnalytics samples={filteredData} identifiers={cohort.identifiers} />
+
+                    <BacklogTrend samples={data} scheduleData={scheduleData} canceledDates={canceledDates} scheduler={cohort.scheduler} />
+                    </>
+                )}
             </main>
+
+            {selectedSample && (
+                <SampleDetailDrawer
+                    key={getRowKey(selectedSample)}
+                    sample={selectedSample}
+                    scheduleEntry={scheduleBySample.get(selectedSample['Sample ID'])}
+                    history={historyBySample.get(getRowKey(selectedSample)) ?? []}
+                    cohort={cohort}
+                    deidentified={deidentified}
+                    onClose={handleCloseDrawer}
+                />
+            )}
+
+            {/* Only the packet is printed while it is open */}
+            {packetDate && (
+                <MeetingPacket
+                    cohort={cohort}
+                    meetingDate={packetDate}
+                    meetingDates={meetingDates}
+                    scheduleData={scheduleData}
+                    samples={data}
+                    families={families}
+                    deidentified={deidentified}
+                    onChangeDate={setPacketDate}
+                    onClose={handleClosePacket}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,121 @@
+import React, { useState, useMemo } from 'react';
+import { Activity } from 'lucide-react';
+import { ACTIVITY_TYPES } from '../config/activity';
+import { parseDate, formatDate } from '../lib/dates';
+
+const PAGE_SIZE = 50;
+
+const typesByKey = Object.fromEntries(ACTIVITY_TYPES.map(t => [t.type, t]));
+
+const formatDay = (iso) => {
+    const date = parseDate(iso);
+    return date ? formatDate(date) : iso;
+};
+
+// --- Activity Feed Component ---
+// `activity` is the result of loadActivity (null while loading); `lastVisit`
+// is the visit stored before this page load. Clicking a sample opens its
+// detail drawer through `onSelectSample(key)`.
+const ActivityFeed = ({ activity, lastVisit, onSelectSample }) => {
+    const [hiddenTypes, setHiddenTypes] = useState(() => new Set());
+    const [shown, setShown] = useState(PAGE_SIZE);
+
+    const events = useMemo(() => activity?.events ?? [], [activity]);
+    const isUnseen = (event) => Boolean(lastVisit) && event.date > lastVisit.snapshot;
+
+    const unseenCounts = useMemo(() => {
+        if (!lastVisit) return [];
+        const unseen = events.filter(event => event.date > lastVisit.snapshot);
+        return ACTIVITY_TYPES
+            .map(({ type, label }) => ({ label, count: unseen.filter(event => event.type === type).length }))
+            .filter(({ count }) => count > 0);
+    }, [events, lastVisit]);
+
+    const visibleEvents = events.filter(event => !hiddenTypes.has(event.type));
+
+    // Consecutive events of a day share a heading
+    const days = visibleEvents.slice(0, shown).reduce((acc, event) => {
+        if (acc.length === 0 || acc[acc.length - 1].date !== event.date) acc.push({ date: event.date, events: [] });
+        acc[acc.length - 1].events.push(event);
+        return acc;
+    }, []);
+
+    const toggleType = (type) => {
+        setHiddenTypes(current => {
+            const next = new Set(current);
+            if (next.has(type)) next.delete(type); else next.add(type);
+            return next;
+        });
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200 mt-8">
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-4 gap-4">
+                <h2 className="font-franklin text-2xl font-bold text-gray-800 flex items-center"><Activity className="h-6 w-6 mr-2 text-blue-500" />What&apos;s Changed</h2>
+                {activity && activity.snapshots.length > 0 && (
+                    <span className="text-sm text-gray-500">{`${activity.snapshots.length} daily snapshots since ${formatDay(activity.snapshots[0])}`}</span>
+                )}
+            </div>
+
+            {!activity ? (
+                <p className="text-gray-500 text-center py-4">Loading snapshots…</p>
+            ) : activity.snapshots.length < 2 ? (
+                <p className="text-gray-500 text-center py-4">The feed starts once Database_Script.R has saved two daily snapshots.</p>
+            ) : (
+                <>
+                    <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-900">
+                        {!lastVisit && 'Welcome! Changes found in the saved snapshots are listed below.'}
+                        {lastVisit && unseenCounts.length === 0 && `Nothing new since your last visit on ${formatDay(lastVisit.visitedOn)}.`}
+                        {lastVisit && unseenCounts.length > 0 && (
+                            <>
+                                <span className="font-semibold">{`Since your last visit on ${formatDay(lastVisit.visitedOn)}: `}</span>
+                                {unseenCounts.map(({ label, count }) => `${count} ${label.toLowerCase()}`).join(' · ')}
+                            </>
+                        )}
+                    </div>
+
+                    <div className="flex flex-wrap gap-2 mb-4 text-xs">
+                        {ACTIVITY_TYPES.map(({ type, label, color }) => (
+                            <button
+                                key={type}
+                                onClick={() => toggleType(type)}
+                                className={`px-2 py-1 rounded-full font-medium ${hiddenTypes.has(type) ? 'bg-gray-100 text-gray-400 line-through' : color}`}
+                            >
+                                {`${label} (${events.filter(event => event.type === type).length})`}
+                            </button>
+                        ))}
+                    </div>
+
+                    {days.length === 0 ? (
+                        <p className="text-gray-500 text-center py-4">No changes between the saved snapshots.</p>
+                    ) : (
+                        <div className="space-y-4 overflow-y-auto" style={{ maxHeight: '400px' }}>
+                            {days.map(({ date, events: dayEvents }) => (
+                                <div key={date}>
+                                    <h3 className="text-xs font-semibold text-gray-500 uppercase mb-1">{formatDay(date)}</h3>
+                                    <ul className="divide-y divide-gray-100">
+                                        {dayEvents.map((event, index) => (
+                                            <li key={`${event.key}-${event.type}-${index}`} className="flex items-center gap-3 py-1.5 text-sm">
+                                                <span className={`w-2 h-2 rounded-full flex-shrink-0 ${isUnseen(event) ? 'bg-blue-500' : 'bg-transparent'}`} title={isUnseen(event) ? 'New since your last visit' : undefined} />
+                                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${typesByKey[event.type].color}`}>{typesByKey[event.type].label}</span>
+                                                <button onClick={() => onSelectSample(event.key)} className="font-semibold text-gray-800 hover:text-blue-600 hover:underline">{event.sampleId}</button>
+                                                {event.detail && <span className="text-gray-500">{event.detail}</span>}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            ))}
+                            {visibleEvents.length > shown && (
+                                <button onClick={() => setShown(count => count + PAGE_SIZE)} className="w-full text-sm text-blue-600 hover:underline py-2">
+                                    {`Show more (${visibleEvents.length - shown} older)`}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ActivityFeed;
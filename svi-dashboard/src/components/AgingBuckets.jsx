@@ -0,0 +1,46 @@
+import React, { useMemo } from 'react';
+import { Hourglass } from 'lucide-react';
+import { AGING_BUCKETS } from '../config/turnaround';
+import { getSampleAge, getAgingBucket, getOverdueStages } from '../lib/turnaround';
+import { isAwaitingReport } from '../lib/backlog';
+
+// --- Aging Buckets Card ---
+// Unreported probands by days since receipt. Clicking a bucket filters the
+// table to it through `onSelect(key)`; clicking the active bucket clears it.
+// `turnaroundTargets` are the cohort's, for the overdue counts.
+const AgingBuckets = ({ samples, turnaroundTargets, activeBucket, onSelect }) => {
+    const counts = useMemo(() => {
+        const today = new Date();
+        const byBucket = Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, { total: 0, overdue: 0 }]));
+        samples.filter(isAwaitingReport).forEach(sample => {
+            const age = getSampleAge(sample, today);
+            const bucket = age === null ? null : getAgingBucket(age);
+            if (!bucket) return;
+            byBucket[bucket.key].total += 1;
+            if (getOverdueStages(sample, turnaroundTargets, today).length > 0) byBucket[bucket.key].overdue += 1;
+        });
+        return byBucket;
+    }, [samples, turnaroundTargets]);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200 mb-8">
+            <h3 className="font-franklin text-lg font-semibold text-gray-700 flex items-center mb-4"><Hourglass className="h-5 w-5 mr-2 text-red-500" />Unreported Probands by Age</h3>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                {AGING_BUCKETS.map(({ key, label }) => (
+                    <button
+                        key={key}
+                        onClick={() => onSelect(activeBucket === key ? 'All' : key)}
+                        className={`p-4 rounded-lg border text-left transition ${activeBucket === key ? 'bg-blue-600 border-blue-600 text-white' : 'bg-gray-50 border-gray-200 hover:bg-gray-100'}`}
+                        title={activeBucket === key ? 'Clear this filter' : 'Show these probands in the table'}
+                    >
+                        <p className={`text-sm ${activeBucket === key ? 'text-blue-100' : 'text-gray-600'}`}>{label}</p>
+                        <p className="text-3xl font-bold">{counts[key].total}</p>
+                        <p className={`text-xs ${activeBucket === key ? 'text-blue-100' : counts[key].overdue > 0 ? 'text-red-600' : 'text-gray-400'}`}>{`${counts[key].overdue} overdue`}</p>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default AgingBuckets;
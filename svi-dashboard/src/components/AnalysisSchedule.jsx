@@ -0,0 +1,298 @@
+import React, { useState, useMemo } from 'react';
+import { FlaskConical, X, RefreshCcw, CalendarX, CalendarCheck, CalendarDays, List, Download, Printer } from 'lucide-react';
+import { buildSchedule } from '../lib/scheduler';
+import { parseDate, daysBetween } from '../lib/dates';
+import { buildMeetingCalendar } from '../lib/ics';
+import { downloadFile } from '../lib/download';
+import ScheduleCalendar from './ScheduleCalendar';
+
+const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const VIEW_OPTIONS = [
+    { value: 'list', label: 'List', icon: <List className="h-4 w-4 mr-1" /> },
+    { value: 'calendar', label: 'Calendar', icon: <CalendarDays className="h-4 w-4 mr-1" /> },
+];
+
+const formatMeeting = (date) => `${date.toLocaleDateString()} (${daysOfWeek[date.getDay()]})`;
+
+const ShiftBadge = ({ days }) => {
+    if (days === null) return <span className="text-xs font-medium text-gray-400">unscheduled</span>;
+    if (days === 0) return <span className="text-xs font-medium text-gray-400">no change</span>;
+    return (
+        <span className={`text-xs font-semibold px-1.5 py-0.5 rounded-full ${days > 0 ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+            {`${days > 0 ? '+' : '−'}${Math.abs(days)}d`}
+        </span>
+    );
+};
+
+// --- Analysis Schedule Component ---
+// Shows the published schedule; what-if mode reruns the scheduler engine with
+// local hot-list, cancellation and cadence changes and compares each sample's
+// meeting date against an unmodified run of the same engine. `onCancelMeeting`
+// and `onRestoreMeeting` are only passed when the list-editing API is available.
+// `onOpenPacket` opens the printable meeting packet for a date. `cohort` gives
+// the scheduler config and labels .ics exports.
+const AnalysisSchedule = ({ scheduleData, samples, hotList, canceledDates, cohort, onCancelMeeting, onRestoreMeeting, onOpenPacket }) => {
+    const { scheduler } = cohort;
+    const [view, setView] = useState('list');
+    const [whatIf, setWhatIf] = useState(false);
+    const [addedHotList, setAddedHotList] = useState([]);
+    const [addedCanceled, setAddedCanceled] = useState([]);
+    const [meetingDays, setMeetingDays] = useState(scheduler.meetingDays);
+    const [hotListCandidate, setHotListCandidate] = useState('');
+    const [cancelCandidate, setCancelCandidate] = useState('');
+
+    const today = useMemo(() => {
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }, []);
+
+    const upcomingMeetings = useMemo(() => {
+        const canceled = new Set(canceledDates);
+        return scheduleData
+            .map(item => ({
+                item,
+                sampleId: item['Sample ID'],
+                meetingDate: item.meeting_date,
+                date: new Date(item.meeting_date + "T00:00:00"),
+                isCanceled: canceled.has(item.meeting_date),
+            }))
+            .filter(item => item.date >= today)
+            .sort((a, b) => a.date - b.date);
+    }, [scheduleData, canceledDates, today]);
+
+    // Listed apart from the schedule, which drops a canceled date once
+    // Database_Script.R has rerun
+    const upcomingCanceled = useMemo(() => {
+        return canceledDates.filter(date => parseDate(date) >= today).sort();
+    }, [canceledDates, today]);
+
+    const baseline = useMemo(() => {
+        if (!whatIf) return [];
+        return buildSchedule(samples, { hotList, canceledDates, config: scheduler, today });
+    }, [whatIf, samples, hotList, canceledDates, scheduler, today]);
+
+    const simulated = useMemo(() => {
+        if (!whatIf) return [];
+        return buildSchedule(samples, {
+            hotList: [...hotList, ...addedHotList],
+            canceledDates: [...canceledDates, ...addedCanceled],
+            config: { ...scheduler, meetingDays },
+            today,
+        });
+    }, [whatIf, samples, hotList, canceledDates, addedHotList, addedCanceled, scheduler, meetingDays, today]);
+
+    const comparison = useMemo(() => {
+        const baselineDates = new Map(baseline.map(entry => [entry['Sample ID'], parseDate(entry.meeting_date)]));
+        return simulated.map(entry => {
+            const date = parseDate(entry.meeting_date);
+            const before = baselineDates.get(entry['Sample ID']) ?? null;
+            return {
+                sampleId: entry['Sample ID'],
+                reason: entry.reason_for_priority,
+                date,
+                shift: date && before ? daysBetween(before, date) : null,
+            };
+        });
+    }, [baseline, simulated]);
+
+    const hotListOptions = useMemo(() => {
+        const onHotList = new Set([...hotList, ...addedHotList]);
+        return simulated.map(entry => entry['Sample ID']).filter(id => !onHotList.has(id)).sort();
+    }, [simulated, hotList, addedHotList]);
+
+    const cancelOptions = useMemo(() => {
+        return [...new Set(simulated.map(entry => entry.meeting_date).filter(date => date !== 'N/A'))];
+    }, [simulated]);
+
+    const changeCount = addedHotList.length + addedCanceled.length
+        + (meetingDays.join() === scheduler.meetingDays.join() ? 0 : 1);
+
+    const toggleMeetingDay = (day) => {
+        setMeetingDays(current => (current.includes(day) ? current.filter(d => d !== day) : [...current, day].sort((a, b) => a - b)));
+    };
+
+    // Canceled meetings are left out of the export
+    const exportMeetings = (meetings, filename) => {
+        const canceled = new Set(canceledDates);
+        const ics = buildMeetingCalendar(meetings.filter(meeting => !canceled.has(meeting.meeting_date)), cohort.calendar);
+        downloadFile(filename, ics, 'text/calendar;charset=utf-8');
+    };
+
+    const handleReset = () => {
+        setAddedHotList([]);
+        setAddedCanceled([]);
+        setMeetingDays(scheduler.meetingDays);
+        setHotListCandidate('');
+        setCancelCandidate('');
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+            <div className="flex justify-between items-center mb-2">
+                <h2 className="font-franklin text-2xl font-bold text-gray-800">Analysis Schedule</h2>
+                <button
+                    onClick={() => setWhatIf(on => !on)}
+                    className={`flex items-center px-3 py-1 border rounded-md text-sm font-medium transition ${whatIf ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                    title="Preview schedule changes locally without touching the published files"
+                >
+                    <FlaskConical className="h-4 w-4 mr-1" />
+                    What-if
+                </button>
+            </div>
+            {!whatIf && (
+                <div className="flex justify-between items-center mb-4 text-sm">
+                    <div className="flex rounded-md border border-gray-300 overflow-hidden">
+                        {VIEW_OPTIONS.map(({ value, label, icon }) => (
+                            <button key={value} onClick={() => setView(value)} className={`flex items-center px-3 py-1 ${view === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>
+                                {icon}{label}
+                            </button>
+                        ))}
+                    </div>
+                    <span className="flex gap-2">
+                        <button
+                            onClick={() => onOpenPacket(upcomingMeetings.find(m => !m.isCanceled)?.meetingDate ?? scheduleData[scheduleData.length - 1].meeting_date)}
+                            disabled={scheduleData.length === 0}
+                            className="flex items-center px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+                            title="Printable packet for the next meeting"
+                        >
+                            <Printer className="h-4 w-4 mr-1" />Packet
+                        </button>
+                        <button
+                            onClick={() => exportMeetings(scheduleData, `${cohort.filePrefix}-analysis-schedule.ics`)}
+                            className="flex items-center px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                            title="Download the whole schedule as an iCalendar file"
+                        >
+                            <Download className="h-4 w-4 mr-1" />.ics
+                        </button>
+                    </span>
+                </div>
+            )}
+
+            {whatIf && (
+                <div className="mb-4 p-3 bg-gray-50 rounded-lg border space-y-3 text-sm">
+                    <div className="flex gap-2">
+                        <select value={hotListCandidate} onChange={e => setHotListCandidate(e.target.value)} className="flex-1 p-1.5 border-gray-300 rounded-md">
+                            <option value="">Add sample to hot list…</option>
+                            {hotListOptions.map(id => <option key={id} value={id}>{id}</option>)}
+                        </select>
+                        <button
+                            disabled={!hotListCandidate}
+                            onClick={() => { setAddedHotList(current => [...current, hotListCandidate]); setHotListCandidate(''); }}
+                            className="px-3 py-1.5 rounded-md bg-blue-600 text-white disabled:opacity-40"
+                        >
+                            Add
+                        </button>
+                    </div>
+                    <div className="flex gap-2">
+                        <select value={cancelCandidate} onChange={e => setCancelCandidate(e.target.value)} className="flex-1 p-1.5 border-gray-300 rounded-md">
+                            <option value="">Cancel a meeting date…</option>
+                            {cancelOptions.map(date => <option key={date} value={date}>{formatMeeting(parseDate(date))}</option>)}
+                        </select>
+                        <button
+                            disabled={!cancelCandidate}
+                            onClick={() => { setAddedCanceled(current => [...current, cancelCandidate]); setCancelCandidate(''); }}
+                            className="px-3 py-1.5 rounded-md bg-blue-600 text-white disabled:opacity-40"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                    <div className="flex items-center gap-3">
+                        <span className="font-medium text-gray-700">Meets on</span>
+                        {[1, 2, 3, 4, 5].map(day => (
+                            <label key={day} className="flex items-center gap-1">
+                                <input type="checkbox" checked={meetingDays.includes(day)} onChange={() => toggleMeetingDay(day)} />
+                                {daysOfWeek[day]}
+                            </label>
+                        ))}
+                    </div>
+                    {changeCount > 0 && (
+                        <div className="flex flex-wrap items-center gap-2">
+                            {addedHotList.map(id => (
+                                <span key={id} className="flex items-center bg-red-100 text-red-700 px-2 py-0.5 rounded-full">
+                                    Hot list: {id}
+                                    <button onClick={() => setAddedHotList(current => current.filter(x => x !== id))} className="ml-1"><X size={12} /></button>
+                                </span>
+                            ))}
+                            {addedCanceled.map(date => (
+                                <span key={date} className="flex items-center bg-gray-200 text-gray-700 px-2 py-0.5 rounded-full">
+                                    Canceled: {date}
+                                    <button onClick={() => setAddedCanceled(current => current.filter(x => x !== date))} className="ml-1"><X size={12} /></button>
+                                </span>
+                            ))}
+                            <button onClick={handleReset} className="flex items-center text-blue-600 hover:underline">
+                                <RefreshCcw className="h-3 w-3 mr-1" />Reset
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {!whatIf && view === 'calendar' ? (
+                <ScheduleCalendar scheduleData={scheduleData} canceledDates={canceledDates} scheduler={scheduler} />
+            ) : (
+                <div className="space-y-3 overflow-y-auto" style={{ maxHeight: '250px' }}>
+                    {whatIf ? (
+                        meetingDays.length === 0 ? (
+                            <p className="text-gray-500 text-center py-4">Select at least one meeting day.</p>
+                        ) : (
+                            comparison.map(({ sampleId, reason, date, shift }) => (
+                                <div key={sampleId} className="flex justify-between items-center bg-gray-50 p-3 rounded-lg" title={reason}>
+                                    <span className="font-semibold text-gray-700">{sampleId}</span>
+                                    <span className="flex items-center gap-2">
+                                        <span className="text-sm font-medium text-blue-600">{date ? formatMeeting(date) : 'N/A'}</span>
+                                        <ShiftBadge days={shift} />
+                                    </span>
+                                </div>
+                            ))
+                        )
+                    ) : upcomingMeetings.length > 0 ? (
+                        upcomingMeetings.map(({ item, sampleId, meetingDate, date, isCanceled }, index) => (
+                            <div key={index} className="flex justify-between items-center bg-gray-50 p-3 rounded-lg">
+                                <span className="font-semibold text-gray-700">{sampleId}</span>
+                                <span className="flex items-center gap-2">
+                                    <span
+                                        className={`text-sm font-medium ${isCanceled ? 'text-gray-400 line-through' : 'text-blue-600'}`}
+                                        title={isCanceled ? 'Canceled; the schedule updates when Database_Script.R reruns' : undefined}
+                                    >
+                                        {formatMeeting(date)}
+                                    </span>
+                                    <button onClick={() => onOpenPacket(meetingDate)} className="p-0.5 rounded text-gray-400 hover:text-blue-600 hover:bg-blue-50" title="Meeting packet">
+                                        <Printer size={16} />
+                                    </button>
+                                    {!isCanceled && (
+                                        <button onClick={() => exportMeetings([item], `${sampleId}.ics`)} className="p-0.5 rounded text-gray-400 hover:text-blue-600 hover:bg-blue-50" title="Add this meeting to your calendar">
+                                            <Download size={16} />
+                                        </button>
+                                    )}
+                                    {onCancelMeeting && !isCanceled && (
+                                        <button onClick={() => onCancelMeeting(meetingDate)} className="p-0.5 rounded text-gray-400 hover:text-red-600 hover:bg-red-50" title="Cancel this meeting">
+                                            <CalendarX size={16} />
+                                        </button>
+                                    )}
+                                </span>
+                            </div>
+                        ))
+                    ) : (
+                        <p className="text-gray-500 text-center py-4">No upcoming meetings scheduled.</p>
+                    )}
+                </div>
+            )}
+
+            {!whatIf && onRestoreMeeting && upcomingCanceled.length > 0 && (
+                <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+                    <span className="font-medium text-gray-700">Canceled</span>
+                    {upcomingCanceled.map(date => (
+                        <span key={date} className="flex items-center bg-gray-200 text-gray-700 px-2 py-0.5 rounded-full">
+                            {formatMeeting(parseDate(date))}
+                            <button onClick={() => onRestoreMeeting(date)} className="ml-1 hover:text-blue-600" title="Restore this meeting"><CalendarCheck size={12} /></button>
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AnalysisSchedule;
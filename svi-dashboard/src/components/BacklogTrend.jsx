@@ -0,0 +1,117 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { TrendingUp } from 'lucide-react';
+import { buildBacklogSeries, getScheduleCadence, forecastClearance } from '../lib/backlog';
+import { formatDate } from '../lib/dates';
+
+const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Shown instead of a date when no probands were reported in the rate window
+const STALLED_VALUE = 'No forecast';
+const STALLED_DETAIL = 'No recent reports; cannot forecast';
+
+const ForecastCard = ({ title, value, detail }) => (
+    <div className="bg-gray-50 p-4 rounded-lg border">
+        <h3 className="text-sm font-semibold text-gray-600">{title}</h3>
+        <p className="text-2xl font-bold text-gray-800 mt-1">{value}</p>
+        {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+    </div>
+);
+
+// --- Backlog Trend Component ---
+// Cumulative received / processed / reported counts, the open proband backlog
+// and when it clears at the published cadence, with a third meeting day, and
+// at the recent reporting rate. `scheduler` is the cohort's scheduler config.
+const BacklogTrend = ({ samples, scheduleData, canceledDates, scheduler }) => {
+    const [granularity, setGranularity] = useState('month');
+    const [extraDay, setExtraDay] = useState(null);
+
+    const series = useMemo(() => buildBacklogSeries(samples, { granularity }), [samples, granularity]);
+    // Falls back to the configured days when the published schedule is empty
+    const cadence = useMemo(() => {
+        const days = getScheduleCadence(scheduleData);
+        return days.length > 0 ? days : scheduler.meetingDays;
+    }, [scheduleData, scheduler]);
+
+    const candidateDays = [1, 2, 3, 4, 5].filter(day => !cadence.includes(day));
+    const thirdDay = extraDay ?? candidateDays[0] ?? null;
+
+    const current = useMemo(() => forecastClearance(samples, { meetingDays: cadence, canceledDates, skipNyseHolidays: scheduler.skipNyseHolidays }), [samples, cadence, canceledDates, scheduler]);
+    const withThirdDay = useMemo(() => {
+        if (thirdDay === null) return null;
+        return forecastClearance(samples, { meetingDays: [...cadence, thirdDay].sort((a, b) => a - b), canceledDates, skipNyseHolidays: scheduler.skipNyseHolidays });
+    }, [samples, cadence, thirdDay, canceledDates, scheduler]);
+
+    const cadenceLabel = cadence.map(day => daysOfWeek[day]).join('/');
+    const formatForecast = (date) => (date ? formatDate(date) : '—');
+
+    let verdict;
+    if (current.backlog === 0) {
+        verdict = 'There is no open proband backlog.';
+    } else if (current.reportsPerWeek === null) {
+        verdict = `No report dates have been exported yet, so clearance is estimated from meeting capacity alone: a third meeting day moves it from ${formatForecast(current.forecastDate)} to ${formatForecast(withThirdDay?.forecastDate)}.`;
+    } else if (current.stalled) {
+        verdict = `No probands were reported in the last ${current.rateWindowDays} days, so there is no reporting rate to forecast clearance from; adding meeting days will not help until reporting resumes.`;
+    } else if (current.reportsPerWeek < current.meetingsPerWeek) {
+        verdict = `Reporting (${current.reportsPerWeek.toFixed(1)}/week) is slower than the current ${current.meetingsPerWeek} meetings/week, so a third meeting day would not clear the backlog sooner.`;
+    } else {
+        verdict = `Reporting (${current.reportsPerWeek.toFixed(1)}/week) keeps pace with meetings, so a third meeting day moves clearance from ${formatForecast(current.forecastDate)} to ${formatForecast(withThirdDay?.forecastDate)}.`;
+    }
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200 mt-8">
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4">
+                <h2 className="font-franklin text-2xl font-bold text-gray-800 flex items-center"><TrendingUp className="h-6 w-6 mr-2 text-blue-500" />Backlog Trend</h2>
+                <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                    {[['week', 'Weekly'], ['month', 'Monthly']].map(([value, label]) => (
+                        <button key={value} onClick={() => setGranularity(value)} className={`px-3 py-1 ${granularity === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>{label}</button>
+                    ))}
+                </div>
+            </div>
+
+            <div style={{ width: '100%', height: 320 }}>
+                <ResponsiveContainer>
+                    <LineChart data={series} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" minTickGap={20} />
+                        <YAxis allowDecimals={false} />
+                        <Tooltip />
+                        <Legend />
+                        <Line type="stepAfter" dataKey="Received" stroke="#3b82f6" dot={false} />
+                        <Line type="stepAfter" dataKey="Processed" stroke="#eab308" dot={false} />
+                        <Line type="stepAfter" dataKey="Reported" stroke="#22c55e" dot={false} />
+                        <Line type="stepAfter" dataKey="Backlog" name="Open proband backlog" stroke="#ef4444" strokeDasharray="5 3" dot={false} />
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Reported and backlog history use report_date; probands reported before it was exported are left out of both lines.</p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mt-6">
+                <ForecastCard title="Open proband backlog" value={current.backlog} detail="Probands with no report" />
+                <ForecastCard
+                    title={`Clears at current cadence (${cadenceLabel})`}
+                    value={current.stalled ? STALLED_VALUE : formatForecast(current.forecastDate)}
+                    detail={current.stalled ? STALLED_DETAIL : `${current.meetingsPerWeek} meetings/week from analysis_scheduler.csv`}
+                />
+                <div className="bg-gray-50 p-4 rounded-lg border">
+                    <h3 className="text-sm font-semibold text-gray-600 flex items-center gap-1">
+                        With a third day:
+                        <select value={thirdDay ?? ''} onChange={e => setExtraDay(Number(e.target.value))} className="p-0.5 text-sm border-gray-300 rounded-md">
+                            {candidateDays.map(day => <option key={day} value={day}>{daysOfWeek[day]}</option>)}
+                        </select>
+                    </h3>
+                    <p className="text-2xl font-bold text-gray-800 mt-1">{withThirdDay?.stalled ? STALLED_VALUE : formatForecast(withThirdDay?.forecastDate)}</p>
+                    {withThirdDay && <p className="text-xs text-gray-500 mt-1">{withThirdDay.stalled ? STALLED_DETAIL : `${withThirdDay.meetingsPerWeek} meetings/week`}</p>}
+                </div>
+                <ForecastCard
+                    title="At recent reporting rate"
+                    value={current.stalled ? STALLED_VALUE : formatForecast(current.reportingDate)}
+                    detail={current.reportsPerWeek === null ? 'Needs report_date in svi_database.csv' : `${current.reportsPerWeek.toFixed(1)} reports/week over the last ${current.rateWindowDays} days`}
+                />
+            </div>
+            <p className="text-sm text-gray-700 mt-4">{verdict}</p>
+        </div>
+    );
+};
+
+export default BacklogTrend;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { ListChecks, ChevronDown, ChevronRight, CircleCheck, ArrowLeft } from 'lucide-react';
+
+// --- Data Audit Page ---
+// `results` is the output of runAudit. A rule with findings can be expanded to
+// list the affected samples; clicking one opens its detail drawer through
+// `onSelectSample(key)`.
+const DataAudit = ({ results, onSelectSample }) => {
+    const [openRules, setOpenRules] = useState(() => new Set());
+
+    const failing = results.filter(rule => rule.findings.length > 0).length;
+
+    const toggleRule = (id) => {
+        setOpenRules(current => {
+            const next = new Set(current);
+            if (next.has(id)) next.delete(id); else next.add(id);
+            return next;
+        });
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-4 gap-4">
+                <h2 className="font-franklin text-2xl font-bold text-gray-800 flex items-center"><ListChecks className="h-6 w-6 mr-2 text-blue-500" />Data Audit</h2>
+                <a href="#" className="flex items-center text-sm text-blue-600 hover:underline"><ArrowLeft className="h-4 w-4 mr-1" />Back to dashboard</a>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                {`${failing} of ${results.length} checks found problems in svi_database.csv, analysis_scheduler.csv and hotlist.csv. Most are fixed in the accessioning sheet or by rerunning Database_Script.R.`}
+            </p>
+
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {results.map(({ id, title, description, findings }) => {
+                    const isOpen = openRules.has(id);
+                    return (
+                        <li key={id}>
+                            <button
+                                onClick={() => toggleRule(id)}
+                                disabled={findings.length === 0}
+                                className="w-full flex items-center gap-3 p-3 text-left hover:bg-gray-50 disabled:hover:bg-white disabled:cursor-default"
+                                aria-expanded={isOpen}
+                            >
+                                {findings.length === 0
+                                    ? <CircleCheck className="h-5 w-5 text-green-500 flex-shrink-0" />
+                                    : isOpen ? <ChevronDown className="h-5 w-5 text-gray-500 flex-shrink-0" /> : <ChevronRight className="h-5 w-5 text-gray-500 flex-shrink-0" />}
+                                <span className="flex-grow">
+                                    <span className="block font-semibold text-gray-800">{title}</span>
+                                    <span className="block text-sm text-gray-500">{description}</span>
+                                </span>
+                                <span className={`px-2.5 py-0.5 rounded-full text-sm font-semibold ${findings.length === 0 ? 'bg-green-100 text-green-700' : 'bg-amber-100 text-amber-800'}`}>{findings.length}</span>
+                            </button>
+                            {isOpen && (
+                                <ul className="px-11 pb-3 overflow-y-auto text-sm" style={{ maxHeight: '300px' }}>
+                                    {findings.map(({ key, sampleId, detail }, index) => (
+                                        <li key={`${key ?? sampleId}-${index}`} className="flex items-center gap-3 py-1">
+                                            {key
+                                                ? <button onClick={() => onSelectSample(key)} className="font-semibold text-gray-800 hover:text-blue-600 hover:underline">{sampleId}</button>
+                                                : <span className="font-semibold text-gray-800">{sampleId}</span>}
+                                            {detail && <span className="text-gray-500 break-all">{detail}</span>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default DataAudit;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { RefreshCw, AlertTriangle } from 'lucide-react';
+import { formatAge } from '../lib/dates';
+
+// --- Data Freshness Badge ---
+// When svi_database.csv was last written (from Last-Modified) and when the tab
+// last checked for changes. Clicking revalidates immediately.
+const DataFreshnessBadge = ({ updatedAt, checkedAt, isStale, refreshing, refreshError, onRefresh }) => {
+    const tone = isStale || refreshError ? 'border-amber-300 bg-amber-50 text-amber-800' : 'border-gray-300 bg-white text-gray-600';
+    const title = [
+        updatedAt && `Data written ${updatedAt.toLocaleString()}`,
+        checkedAt && `Last checked ${checkedAt.toLocaleTimeString()}`,
+        refreshError && `Last refresh failed: ${refreshError}`,
+        'Click to check now',
+    ].filter(Boolean).join('\n');
+
+    return (
+        <button onClick={onRefresh} disabled={refreshing} className={`flex items-center px-3 py-2 border rounded-lg text-sm whitespace-nowrap ${tone}`} title={title}>
+            {isStale || refreshError ? <AlertTriangle className="h-4 w-4 mr-2" /> : <RefreshCw className={`h-4 w-4 mr-2 ${refreshing ? 'animate-spin' : ''}`} />}
+            {updatedAt ? `Updated ${formatAge(updatedAt)}` : 'Update time unknown'}
+            {isStale && <span className="ml-1 font-semibold">· stale</span>}
+        </button>
+    );
+};
+
+export default DataFreshnessBadge;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { AlertTriangle, ChevronDown, ChevronUp } from 'lucide-react';
+
+// --- Collapsible list of rows that failed to parse or validate ---
+const DataIssuesPanel = ({ issues }) => {
+    const [isOpen, setIsOpen] = useState(false);
+
+    if (issues.length === 0) return null;
+
+    return (
+        <div className="bg-amber-50 rounded-xl shadow border border-amber-200 mb-8">
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="w-full flex justify-between items-center p-4 text-left"
+                aria-expanded={isOpen}
+            >
+                <span className="font-franklin text-lg font-semibold text-amber-800 flex items-center">
+                    <AlertTriangle className="h-5 w-5 mr-2 text-amber-500" />
+                    Data issues ({issues.length})
+                </span>
+                {isOpen ? <ChevronUp className="text-amber-700" /> : <ChevronDown className="text-amber-700" />}
+            </button>
+            {isOpen && (
+                <div className="px-4 pb-4 overflow-auto" style={{ maxHeight: '300px' }}>
+                    <table className="w-full text-left table-auto text-sm">
+                        <thead>
+                            <tr className="text-amber-900">
+                                <th className="p-2 font-semibold">File</th>
+                                <th className="p-2 font-semibold">Line</th>
+                                <th className="p-2 font-semibold">Reason</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-amber-100">
+                            {issues.map(({ file, line, reason }, index) => (
+                                <tr key={`${file}-${line}-${index}`} className="text-gray-700">
+                                    <td className="p-2 whitespace-nowrap font-mono">{file}</td>
+                                    <td className="p-2 whitespace-nowrap">{line ?? '—'}</td>
+                                    <td className="p-2">{reason}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DataIssuesPanel;
@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download } from 'lucide-react';
+import { buildCsv, buildXlsx, XLSX_TYPE } from '../lib/export';
+import { downloadFile } from '../lib/download';
+import { toIsoDate } from '../lib/dates';
+
+// --- Export Menu ---
+// Exports `rows` exactly as given (the table's filtered, sorted data) with the
+// columns ticked in the menu, read through `getValue(row, column)`.
+// `defaultColumns` starts ticked; remount (key) the menu to re-seed it.
+// `filePrefix` starts the file name.
+const ExportMenu = ({ rows, columns, defaultColumns, getValue, filePrefix }) => {
+    const [open, setOpen] = useState(false);
+    const [selected, setSelected] = useState(() => new Set(defaultColumns));
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        const handleClick = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const toggleColumn = (column) => {
+        setSelected(current => {
+            const next = new Set(current);
+            if (next.has(column)) next.delete(column); else next.add(column);
+            return next;
+        });
+    };
+
+    // Columns keep the menu's order regardless of the order they were ticked
+    const exportColumns = columns.filter(column => selected.has(column));
+    const filename = `${filePrefix}-samples-${toIsoDate(new Date())}`;
+
+    const handleExport = (format) => {
+        if (format === 'csv') {
+            downloadFile(`${filename}.csv`, buildCsv(rows, exportColumns, { getValue }), 'text/csv;charset=utf-8');
+        } else {
+            downloadFile(`${filename}.xlsx`, buildXlsx(rows, exportColumns, { getValue }), XLSX_TYPE);
+        }
+        setOpen(false);
+    };
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setOpen(isOpen => !isOpen)}
+                className={`flex items-center px-3 py-2 border rounded-lg text-sm font-medium whitespace-nowrap transition ${open ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                title="Export the rows shown in the table"
+            >
+                <Download className="h-4 w-4 mr-2" />
+                Export
+            </button>
+            {open && (
+                <div className="absolute right-0 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-xl z-20 p-3 text-sm">
+                    <div className="flex justify-between items-center mb-2">
+                        <span className="font-semibold text-gray-700">Columns</span>
+                        <span className="space-x-2 text-xs">
+                            <button onClick={() => setSelected(new Set(columns))} className="text-blue-600 hover:underline">All</button>
+                            <button onClick={() => setSelected(new Set())} className="text-blue-600 hover:underline">None</button>
+                        </span>
+                    </div>
+                    <div className="max-h-56 overflow-y-auto space-y-1 mb-3">
+                        {columns.map(column => (
+                            <label key={column} className="flex items-center gap-2 text-gray-700">
+                                <input type="checkbox" checked={selected.has(column)} onChange={() => toggleColumn(column)} />
+                                {column}
+                            </label>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mb-2">{`${rows.length} rows matching the current filters`}</p>
+                    <div className="flex gap-2">
+                        {['csv', 'xlsx'].map(format => (
+                            <button
+                                key={format}
+                                disabled={exportColumns.length === 0}
+                                onClick={() => handleExport(format)}
+                                className="flex-1 px-3 py-1.5 rounded-md bg-blue-600 text-white disabled:opacity-40"
+                            >
+                                {format.toUpperCase()}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
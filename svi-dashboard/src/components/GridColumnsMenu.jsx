@@ -0,0 +1,67 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Columns3, ArrowUp, ArrowDown } from 'lucide-react';
+import { LOCKED_GRID_COLUMNS } from '../config/grid';
+
+// --- Grid Columns Menu ---
+// Shows, hides and reorders the table columns. `layout` is the resolved
+// layout (every available column, hidden ones included); edits are reported
+// through `onToggle(column)` and `onMove(column, target)`.
+const GridColumnsMenu = ({ layout, onToggle, onMove, onReset }) => {
+    const [open, setOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        const handleClick = (e) => {
+            if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const visibleCount = layout.filter(entry => entry.visible).length;
+
+    return (
+        <div className="relative" ref={menuRef}>
+            <button
+                onClick={() => setOpen(isOpen => !isOpen)}
+                className={`flex items-center px-3 py-2 border rounded-lg text-sm font-medium whitespace-nowrap transition ${open ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                title="Choose, reorder and reset the table columns"
+            >
+                <Columns3 className="h-4 w-4 mr-2" />
+                Columns
+            </button>
+            {open && (
+                <div className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-xl z-20 p-3 text-sm">
+                    <div className="flex justify-between items-center mb-2">
+                        <span className="font-semibold text-gray-700">{`Columns (${visibleCount} of ${layout.length})`}</span>
+                        <button onClick={onReset} className="text-xs text-blue-600 hover:underline">Reset layout</button>
+                    </div>
+                    <ul className="max-h-72 overflow-y-auto space-y-1 mb-2">
+                        {layout.map(({ column, visible }, index) => (
+                            <li key={column} className="flex items-center gap-2 text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    id={`grid-column-${column}`}
+                                    checked={visible}
+                                    disabled={LOCKED_GRID_COLUMNS.includes(column)}
+                                    onChange={() => onToggle(column)}
+                                />
+                                <label htmlFor={`grid-column-${column}`} className={`flex-grow truncate ${visible ? '' : 'text-gray-400'}`}>{column}</label>
+                                <button onClick={() => onMove(column, layout[index - 1].column)} disabled={index === 0} className="p-0.5 rounded hover:bg-gray-100 disabled:opacity-30" title="Move up">
+                                    <ArrowUp className="h-3.5 w-3.5" />
+                                </button>
+                                <button onClick={() => onMove(column, layout[index + 1].column)} disabled={index === layout.length - 1} className="p-0.5 rounded hover:bg-gray-100 disabled:opacity-30" title="Move down">
+                                    <ArrowDown className="h-3.5 w-3.5" />
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                    <p className="text-xs text-gray-500">Drag a header to reorder it, or its right edge to resize it. The layout is saved in this browser.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GridColumnsMenu;
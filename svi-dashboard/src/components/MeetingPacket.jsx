@@ -0,0 +1,116 @@
+import React, { useEffect, useMemo } from 'react';
+import { X, Printer } from 'lucide-react';
+import { getRelation } from '../lib/families';
+import { parseDate } from '../lib/dates';
+import { isPhiColumn } from '../lib/phi';
+import { getCohortSchemas } from '../lib/schemas';
+import { isProcessed } from '../config/dashboard';
+
+const ACCESSIONING_FIELDS = [
+    ['Type', 'Identifier'],
+    ['Date Received', 'Date Received'],
+    ['MRN', 'MRN'],
+    ['Submitter ID / Acc. No.', 'Submitter ID/ Acc. No.'],
+    ['AGen ID', 'AGen ID'],
+    ['Data date', 'DataDate'],
+];
+
+const getStatus = (sample) => [
+    ['Proband', sample.proband === '1'],
+    ['Processed', isProcessed(sample)],
+    ['Analyzed', sample.geneyx_uploaded === '1'],
+    ['Report', sample.report === '1'],
+];
+
+const formatMeetingDate = (iso) => parseDate(iso)?.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) ?? iso;
+
+// --- Printable packet for one analysis meeting ---
+// Rendered over the dashboard; App hides everything else when printing. In
+// de-identified mode the PHI fields and comments are left out. The packet is
+// headed with the cohort's `meetingTitle`.
+const MeetingPacket = ({ cohort, meetingDate, meetingDates, scheduleData, samples, families, deidentified, onChangeDate, onClose }) => {
+    useEffect(() => {
+        const handleKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const entries = useMemo(() => {
+        const samplesById = new Map(samples.map(sample => [sample['Sample ID'], sample]));
+        return scheduleData
+            .filter(item => item.meeting_date === meetingDate)
+            .map(item => {
+                const sample = samplesById.get(item['Sample ID']) ?? null;
+                const family = sample ? families.find(f => f.members.includes(sample)) : null;
+                return { item, sample, relatives: family ? family.members.filter(member => member !== sample) : [] };
+            });
+    }, [meetingDate, scheduleData, samples, families]);
+
+    return (
+        <div className="fixed inset-0 z-50 bg-white overflow-y-auto print:static print:overflow-visible">
+            <div className="sticky top-0 bg-gray-50 border-b border-gray-200 px-6 py-3 flex items-center gap-3 print:hidden">
+                <label htmlFor="packetDate" className="text-sm font-medium text-gray-700">Meeting</label>
+                <select id="packetDate" value={meetingDate} onChange={e => onChangeDate(e.target.value)} className="p-1.5 text-sm border-gray-300 rounded-md">
+                    {meetingDates.map(date => <option key={date} value={date}>{formatMeetingDate(date)}</option>)}
+                </select>
+                <button onClick={() => window.print()} className="flex items-center px-3 py-1.5 rounded-md bg-blue-600 text-white text-sm">
+                    <Printer className="h-4 w-4 mr-1" />Print
+                </button>
+                <button onClick={onClose} className="ml-auto p-1 rounded-md text-gray-500 hover:bg-gray-100" title="Close">
+                    <X />
+                </button>
+            </div>
+
+            <div className="max-w-4xl mx-auto px-6 py-8 print:p-0 print:max-w-none">
+                <header className="border-b-2 border-gray-800 pb-3 mb-6">
+                    <h1 className="font-franklin text-2xl font-bold text-gray-900">{cohort.meetingTitle}</h1>
+                    <p className="font-franklin text-lg text-gray-700">{formatMeetingDate(meetingDate)}</p>
+                    <p className="text-xs text-gray-500 mt-1">{`Printed ${new Date().toLocaleString()} · ${entries.length} sample${entries.length === 1 ? '' : 's'}`}</p>
+                </header>
+
+                {entries.length === 0 && <p className="text-gray-500">No samples are scheduled for this meeting.</p>}
+
+                {entries.map(({ item, sample, relatives }) => (
+                    <section key={item['Sample ID']} className="mb-8 break-inside-avoid">
+                        <div className="flex justify-between items-baseline border-b border-gray-300 pb-1 mb-3">
+                            <h2 className="font-franklin text-xl font-bold text-gray-900">{item['Sample ID']}</h2>
+                            <span className="text-sm text-gray-600">{item.reason_for_priority}</span>
+                        </div>
+                        {sample ? (
+                            <>
+                                <dl className="grid grid-cols-3 gap-x-6 gap-y-2 text-sm mb-3">
+                                    {ACCESSIONING_FIELDS.filter(([, key]) => !(deidentified && isPhiColumn(key, getCohortSchemas(cohort).database))).map(([label, key]) => (
+                                        <div key={key}>
+                                            <dt className="text-xs font-semibold text-gray-500 uppercase">{label}</dt>
+                                            <dd className="text-gray-900">{sample[key]}</dd>
+                                        </div>
+                                    ))}
+                                </dl>
+                                <div className="flex flex-wrap gap-2 text-xs mb-3">
+                                    {getStatus(sample).map(([label, done]) => (
+                                        <span key={label} className={`px-2 py-0.5 rounded-full border ${done ? 'border-green-600 text-green-700' : 'border-gray-400 text-gray-500'}`}>
+                                            {`${label}: ${done ? 'Yes' : 'No'}`}
+                                        </span>
+                                    ))}
+                                </div>
+                                {!deidentified && <p className="text-sm mb-1"><span className="font-semibold text-gray-700">Comments: </span>{sample.Comments}</p>}
+                                <p className="text-sm mb-1 break-all"><span className="font-semibold text-gray-700">SamplePath: </span><span className="font-mono text-xs">{sample.SamplePath}</span></p>
+                                {relatives.length > 0 && (
+                                    <p className="text-sm mb-1">
+                                        <span className="font-semibold text-gray-700">Family: </span>
+                                        {relatives.map(r => `${r['Sample ID']} (${getRelation(r)}${isProcessed(r) ? ', sequenced' : ''})`).join('; ')}
+                                    </p>
+                                )}
+                            </>
+                        ) : (
+                            <p className="text-sm text-amber-700">This sample is not in svi_database.csv.</p>
+                        )}
+                        <div className="mt-3 border border-gray-300 rounded h-24 p-2 text-xs text-gray-400">Notes</div>
+                    </section>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default MeetingPacket;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { Eye, EyeOff } from 'lucide-react';
+import { maskValue } from '../lib/phi';
+
+// --- Masked PHI value with a reveal toggle ---
+// Clicks stop here so revealing a value in the table does not open the row.
+const PhiValue = ({ value, revealed, onToggle }) => (
+    <span className="inline-flex items-center gap-1">
+        <span className={revealed ? '' : 'tracking-widest text-gray-400'}>{revealed ? value : maskValue(value)}</span>
+        {value !== 'N/A' && (
+            <button
+                onClick={(e) => { e.stopPropagation(); onToggle(); }}
+                className="p-0.5 rounded text-gray-400 hover:text-blue-600 hover:bg-blue-50"
+                title={revealed ? 'Hide' : 'Reveal'}
+            >
+                {revealed ? <EyeOff size={14} /> : <Eye size={14} />}
+            </button>
+        )}
+    </span>
+);
+
+export default PhiValue;
@@ -0,0 +1,106 @@
+import React, { useState, useRef, useLayoutEffect } from 'react';
+import { Search, AlertTriangle } from 'lucide-react';
+import { getSuggestions } from '../lib/query';
+
+const SYNTAX_HELP = 'Search words, or fields such as id:UDD  received:>=2025-01-01  report:0  comments:"low coverage". Prefix a term with - to exclude it; join alternatives with OR.';
+
+// --- Query Search Box ---
+// Text input for the query language in lib/query. `error` is the parse error
+// of the current value; `knownValues` and `hiddenColumns` feed autocomplete.
+const QuerySearchBox = ({ value, onChange, error, knownValues, hiddenColumns }) => {
+    const inputRef = useRef(null);
+    const pendingCursorRef = useRef(null);
+    const [cursor, setCursor] = useState(value.length);
+    const [isOpen, setIsOpen] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+
+    const { suggestions, start, end } = isOpen
+        ? getSuggestions(value, cursor, { knownValues, hiddenColumns })
+        : { suggestions: [] };
+
+    // Puts the caret after an accepted suggestion once the new value renders
+    useLayoutEffect(() => {
+        if (pendingCursorRef.current !== null) {
+            inputRef.current.setSelectionRange(pendingCursorRef.current, pendingCursorRef.current);
+            pendingCursorRef.current = null;
+        }
+    }, [value]);
+
+    const handleChange = (e) => {
+        onChange(e.target.value);
+        setCursor(e.target.selectionStart);
+        setIsOpen(true);
+        setHighlighted(0);
+    };
+
+    const accept = (suggestion) => {
+        const next = value.slice(0, start) + suggestion.insert + value.slice(end);
+        const nextCursor = start + suggestion.insert.length;
+        pendingCursorRef.current = nextCursor;
+        setCursor(nextCursor);
+        setHighlighted(0);
+        onChange(next);
+    };
+
+    const handleKeyDown = (e) => {
+        if (suggestions.length === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setHighlighted(index => (index + step + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            accept(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+        } else if (e.key === 'Escape') {
+            setIsOpen(false);
+        }
+    };
+
+    return (
+        <div className="relative w-full sm:w-auto">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+            <input
+                ref={inputRef}
+                type="text"
+                placeholder="Search, e.g. id:UDD report:0"
+                title={SYNTAX_HELP}
+                className={`w-full sm:w-80 pl-10 pr-4 py-2 border rounded-lg focus:ring-2 transition ${error ? 'border-red-400 focus:ring-red-400 focus:border-red-400' : 'border-gray-300 focus:ring-blue-500 focus:border-blue-500'}`}
+                value={value}
+                onChange={handleChange}
+                onKeyDown={handleKeyDown}
+                onSelect={(e) => setCursor(e.target.selectionStart)}
+                onFocus={() => setIsOpen(true)}
+                onBlur={() => setIsOpen(false)}
+                aria-invalid={Boolean(error)}
+                aria-autocomplete="list"
+                spellCheck={false}
+            />
+            {suggestions.length > 0 && (
+                <ul className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1 text-sm max-h-64 overflow-y-auto" role="listbox">
+                    {suggestions.map((suggestion, index) => (
+                        <li
+                            key={suggestion.label}
+                            role="option"
+                            aria-selected={index === highlighted}
+                            // mousedown keeps focus in the input
+                            onMouseDown={(e) => { e.preventDefault(); accept(suggestion); }}
+                            onMouseEnter={() => setHighlighted(index)}
+                            className={`flex justify-between gap-4 px-3 py-1.5 cursor-pointer ${index === highlighted ? 'bg-blue-50 text-blue-700' : 'text-gray-700'}`}
+                        >
+                            <span className="font-mono">{suggestion.label}</span>
+                            <span className="text-xs text-gray-400 truncate">{suggestion.hint}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {error && (
+                <p className="absolute left-0 right-0 mt-1 flex items-start text-xs text-red-600 bg-white" role="alert">
+                    <AlertTriangle className="h-3.5 w-3.5 mr-1 flex-shrink-0" />
+                    {`${error.message} (at "${value.slice(error.start, error.end)}"). All rows are shown until the query is fixed.`}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default QuerySearchBox;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { X, CircleCheck, Circle, Download } from 'lucide-react';
+import { parseDate, daysBetween, formatDate } from '../lib/dates';
+import { buildMeetingCalendar } from '../lib/ics';
+import { downloadFile } from '../lib/download';
+import { isPhiColumn } from '../lib/phi';
+import { getCohortSchemas, getMaskedColumns } from '../lib/schemas';
+import { ACTIVITY_TYPES } from '../config/activity';
+import { isProcessed } from '../config/dashboard';
+import PhiValue from './PhiValue';
+
+// --- Builds the pipeline stages for one sample ---
+// Geneyx upload and report dates only exist in newer exports; without them the
+// stages can show as complete without contributing to the elapsed-day counts.
+const buildTimeline = (sample, scheduleEntry) => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const meetingDate = parseDate(scheduleEntry?.meeting_date);
+
+    const stages = [
+        { label: 'Received', date: parseDate(sample['Date Received']), done: sample['Date Received'] !== 'N/A' },
+        { label: 'Sequenced / processed', date: parseDate(sample.DataDate), done: isProcessed(sample) },
+        { label: 'Uploaded to Geneyx', date: parseDate(sample.geneyx_date), done: sample.geneyx_uploaded === '1' },
+        { label: 'Report', date: parseDate(sample.report_date), done: sample.report === '1' },
+        { label: 'Analysis meeting', date: meetingDate, done: meetingDate !== null && meetingDate < today },
+    ];
+
+    let previous = null;
+    return stages.map(stage => {
+        const elapsed = stage.date && previous ? { days: daysBetween(previous.date, stage.date), from: previous.label } : null;
+        if (stage.date) previous = stage;
+        return { ...stage, elapsed };
+    });
+};
+
+// --- Side drawer with the full record and pipeline timeline for a sample ---
+// Identifiers start masked, and App keys the drawer by sample so each one opens
+// masked again; in de-identified mode PHI columns are not listed.
+// `history` holds the sample's activity feed events, newest first. `cohort`
+// declares the PHI columns and labels the meeting's .ics export.
+const SampleDetailDrawer = ({ sample, scheduleEntry, history, cohort, deidentified, onClose }) => {
+    const { database } = getCohortSchemas(cohort);
+    const [revealed, setRevealed] = useState(false);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const timeline = useMemo(() => buildTimeline(sample, scheduleEntry), [sample, scheduleEntry]);
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end">
+            <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+            <aside className="relative w-full max-w-md h-full bg-white shadow-2xl overflow-y-auto" role="dialog" aria-label={`Details for ${sample['Sample ID']}`}>
+                <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex justify-between items-center">
+                    <h2 className="font-franklin text-2xl font-bold text-gray-800">{sample['Sample ID']}</h2>
+                    <button onClick={onClose} className="p-1 rounded-md text-gray-500 hover:bg-gray-100" title="Close">
+                        <X />
+                    </button>
+                </div>
+
+                <section className="px-6 py-4">
+                    <h3 className="font-franklin text-lg font-semibold text-gray-700 mb-3">Pipeline Timeline</h3>
+                    <ol className="relative border-l-2 border-gray-200 ml-2 space-y-5">
+                        {timeline.map(({ label, date, done, elapsed }) => (
+                            <li key={label} className="relative ml-5">
+                                <span className="absolute -left-[31px] top-0.5 bg-white">
+                                    {done ? <CircleCheck className="h-5 w-5 text-green-500" /> : <Circle className="h-5 w-5 text-gray-300" />}
+                                </span>
+                                <p className={`font-semibold ${done ? 'text-gray-800' : 'text-gray-400'}`}>{label}</p>
+                                <p className="text-sm text-gray-600">
+                                    {date ? formatDate(date) : (done ? 'Complete (date not recorded)' : 'Not yet')}
+                                </p>
+                                {elapsed && (
+                                    <p className="text-xs font-medium text-blue-600">
+                                        {`${elapsed.days} day${elapsed.days === 1 ? '' : 's'} after ${elapsed.from}`}
+                                    </p>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+                    {scheduleEntry && (
+                        <button
+                            onClick={() => downloadFile(`${sample['Sample ID']}.ics`, buildMeetingCalendar([scheduleEntry], cohort.calendar), 'text/calendar;charset=utf-8')}
+                            className="mt-4 flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                            <Download className="h-4 w-4 mr-2" />
+                            Add meeting to calendar (.ics)
+                        </button>
+                    )}
+                </section>
+
+                <section className="px-6 py-4 border-t border-gray-200">
+                    <h3 className="font-franklin text-lg font-semibold text-gray-700 mb-3">History</h3>
+                    {history.length === 0 ? (
+                        <p className="text-sm text-gray-500">No changes recorded in the saved snapshots.</p>
+                    ) : (
+                        <ul className="space-y-1 text-sm">
+                            {history.map((event, index) => (
+                                <li key={`${event.date}-${event.type}-${index}`} className="flex gap-3">
+                                    <span className="text-gray-500 whitespace-nowrap">{formatDate(parseDate(event.date))}</span>
+                                    <span className="font-medium text-gray-800">{ACTIVITY_TYPES.find(t => t.type === event.type).label}</span>
+                                    {event.detail && <span className="text-gray-500">{event.detail}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+
+                <section className="px-6 py-4 border-t border-gray-200">
+                    <h3 className="font-franklin text-lg font-semibold text-gray-700 mb-3">Full Record</h3>
+                    <dl className="grid grid-cols-3 gap-x-4 gap-y-2 text-sm">
+                        {Object.entries(sample).filter(([key]) => !(deidentified && isPhiColumn(key, database))).map(([key, value]) => (
+                            <React.Fragment key={key}>
+                                <dt className="col-span-1 font-medium text-gray-500 break-words">{key}</dt>
+                                <dd className="col-span-2 text-gray-800 break-words">
+                                    {getMaskedColumns(database).includes(key) ? <PhiValue value={value} revealed={revealed} onToggle={() => setRevealed(r => !r)} /> : value}
+                                </dd>
+                            </React.Fragment>
+                        ))}
+                        {scheduleEntry && (
+                            <>
+                                <dt className="col-span-1 font-medium text-gray-500">meeting_date</dt>
+                                <dd className="col-span-2 text-gray-800">{scheduleEntry.meeting_date}</dd>
+                                <dt className="col-span-1 font-medium text-gray-500">reason_for_priority</dt>
+                                <dd className="col-span-2 text-gray-800">{scheduleEntry.reason_for_priority ?? 'N/A'}</dd>
+                            </>
+                        )}
+                    </dl>
+                </section>
+            </aside>
+        </div>
+    );
+};
+
+export default SampleDetailDrawer;
@@ -0,0 +1,133 @@
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import { ChevronDown, ChevronUp } from 'lucide-react';
+import { GRID_CONFIG } from '../config/grid';
+
+// Index of the last item starting at or before `position`
+const findItemAt = (offsets, position) => {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (offsets[mid] <= position) low = mid; else high = mid - 1;
+    }
+    return low;
+};
+
+// --- Sample Grid ---
+// Virtualized table: only the rows in view (plus GRID_CONFIG.overscanRows on
+// each side) are rendered, between two spacer rows that keep the scrollbar
+// honest. `items` are opaque to the grid; `getItemHeight(item)` must match the
+// height `renderItem(item)` renders at, so cells must not wrap. Row dividers
+// are inset shadows on the cells and add no height. `columns` are the visible
+// layout entries in order; headers sort (shift-click for `onSort(column, true)`),
+// resize from their right edge and reorder by dragging onto another header.
+// With several sort keys each sorted header shows its priority.
+const SampleGrid = ({ items, getItemHeight, renderItem, columns, sortKeys, onSort, onResizeColumn, onMoveColumn, emptyMessage }) => {
+    const containerRef = useRef(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    const [viewportHeight, setViewportHeight] = useState(GRID_CONFIG.maxHeight);
+    const [draggedColumn, setDraggedColumn] = useState(null);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+        observer.observe(container);
+        return () => observer.disconnect();
+    }, []);
+
+    // offsets[i] is where item i starts; the last entry is the total height
+    const offsets = useMemo(() => items.reduce((acc, item) => {
+        acc.push(acc[acc.length - 1] + getItemHeight(item));
+        return acc;
+    }, [0]), [items, getItemHeight]);
+
+    const first = items.length === 0 ? 0 : Math.max(0, findItemAt(offsets, scrollTop) - GRID_CONFIG.overscanRows);
+    const last = items.length === 0 ? 0 : Math.min(items.length, findItemAt(offsets, scrollTop + viewportHeight) + 1 + GRID_CONFIG.overscanRows);
+    const totalWidth = columns.reduce((sum, { width }) => sum + width, 0);
+
+    const startResize = (e, column, width) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const startX = e.clientX;
+        const handleMove = (moveEvent) => onResizeColumn(column, width + moveEvent.clientX - startX);
+        const handleUp = () => {
+            window.removeEventListener('mousemove', handleMove);
+            window.removeEventListener('mouseup', handleUp);
+        };
+        window.addEventListener('mousemove', handleMove);
+        window.addEventListener('mouseup', handleUp);
+    };
+
+    const renderSortIndicator = (column) => {
+        const priority = sortKeys.findIndex(sort => sort.key === column);
+        if (priority === -1) return <span className="opacity-30 flex-shrink-0"><ChevronDown size={16} /></span>;
+        return (
+            <span className="flex items-center flex-shrink-0 text-blue-600">
+                {sortKeys[priority].direction === 'ascending' ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                {sortKeys.length > 1 && <span className="text-xs font-bold">{priority + 1}</span>}
+            </span>
+        );
+    };
+
+    const handleDrop = (e, column) => {
+        e.preventDefault();
+        if (draggedColumn && draggedColumn !== column) onMoveColumn(draggedColumn, column);
+        setDraggedColumn(null);
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            className="overflow-auto rounded-lg border border-gray-200"
+            style={{ maxHeight: `${GRID_CONFIG.maxHeight}px` }}
+            onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+            <table className="text-left table-fixed" style={{ width: `max(100%, ${totalWidth}px)` }}>
+                <colgroup>
+                    {columns.map(({ column, width }) => <col key={column} style={{ width: `${width}px` }} />)}
+                </colgroup>
+                <thead className="bg-gray-100">
+                    <tr>
+                        {columns.map(({ column, width, sortable }) => (
+                            <th
+                                key={column}
+                                draggable
+                                onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; setDraggedColumn(column); }}
+                                onDragEnd={() => setDraggedColumn(null)}
+                                onDragOver={(e) => { if (draggedColumn) e.preventDefault(); }}
+                                onDrop={(e) => handleDrop(e, column)}
+                                className={`relative p-3 text-sm font-semibold tracking-wide sticky top-0 bg-gray-100 z-10 select-none ${sortable ? 'cursor-pointer' : 'cursor-grab'} ${draggedColumn === column ? 'opacity-50' : ''}`}
+                                onClick={(e) => sortable && onSort(column, e.shiftKey)}
+                                title={sortable ? 'Click to sort, shift-click to add a sort key, drag to reorder' : 'Drag to reorder'}
+                            >
+                                <div className="flex items-center gap-1 overflow-hidden">
+                                    <span className="truncate">{column}</span>
+                                    {sortable && renderSortIndicator(column)}
+                                </div>
+                                <span
+                                    onMouseDown={(e) => startResize(e, column, width)}
+                                    onClick={(e) => e.stopPropagation()}
+                                    className="absolute top-0 right-0 h-full w-2 cursor-col-resize hover:bg-blue-300"
+                                    title="Drag to resize"
+                                />
+                            </th>
+                        ))}
+                    </tr>
+                </thead>
+                <tbody className="[&>tr>td]:shadow-[inset_0_-1px_0_#e5e7eb]">
+                    {items.length === 0 ? (
+                        <tr><td colSpan={columns.length} className="text-center py-8 text-gray-500">{emptyMessage}</td></tr>
+                    ) : (
+                        <>
+                            {first > 0 && <tr aria-hidden="true" style={{ height: `${offsets[first]}px` }} />}
+                            {items.slice(first, last).map(renderItem)}
+                            {last < items.length && <tr aria-hidden="true" style={{ height: `${offsets[items.length] - offsets[last]}px` }} />}
+                        </>
+                    )}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default SampleGrid;
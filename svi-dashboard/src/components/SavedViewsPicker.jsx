@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Bookmark, Trash2, Link } from 'lucide-react';
+import { loadSavedViews, saveView, deleteView } from '../lib/viewState';
+
+// navigator.clipboard only exists in secure contexts, and the dashboard server
+// speaks plain HTTP, so fall back to copying from a hidden textarea
+const copyText = (text) => {
+    if (navigator.clipboard?.writeText) return navigator.clipboard.writeText(text);
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    let copied = false;
+    try {
+        copied = document.execCommand('copy');
+    } catch {
+        copied = false;
+    }
+    textarea.remove();
+    return copied ? Promise.resolve() : Promise.reject(new Error('Copy command was refused'));
+};
+
+// --- Saved Views Picker ---
+// Named table views stored in this browser. Choosing one applies it through
+// `onApply`; the URL then updates like any other filter change. Each cohort
+// keeps its own views.
+const SavedViewsPicker = ({ cohort, currentView, onApply }) => {
+    const [views, setViews] = useState(() => loadSavedViews(cohort));
+    const [selected, setSelected] = useState('');
+    const [copied, setCopied] = useState(false);
+
+    const names = Object.keys(views).sort((a, b) => a.localeCompare(b));
+
+    const handleSelect = (name) => {
+        setSelected(name);
+        if (name) onApply(views[name]);
+    };
+
+    const handleSave = () => {
+        const name = (window.prompt('Name for this view:', selected) ?? '').trim();
+        if (!name) return;
+        if (views[name] && name !== selected && !window.confirm(`Replace the saved view "${name}"?`)) return;
+        setViews(saveView(name, currentView, cohort));
+        setSelected(name);
+    };
+
+    const handleDelete = () => {
+        if (!selected || !window.confirm(`Delete the saved view "${selected}"?`)) return;
+        setViews(deleteView(selected, cohort));
+        setSelected('');
+    };
+
+    // When the copy is refused the link is shown for copying by hand
+    const handleCopyLink = () => {
+        const url = window.location.href;
+        copyText(url)
+            .then(() => {
+                setCopied(true);
+                setTimeout(() => setCopied(false), 1500);
+            })
+            .catch(() => window.prompt('Could not copy the link. Copy it from here:', url));
+    };
+
+    const buttonClass = 'p-2 border border-gray-300 rounded-md shadow-sm text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed';
+
+    return (
+        <div className="flex items-center gap-1">
+            <select
+                id="savedViews"
+                value={selected}
+                onChange={e => handleSelect(e.target.value)}
+                className="w-full min-w-0 p-2 text-sm border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+                <option value="">{names.length > 0 ? 'Choose…' : 'None saved'}</option>
+                {names.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <button onClick={handleSave} className={buttonClass} title="Save the current filters, sort and search as a view">
+                <Bookmark className="h-4 w-4" />
+            </button>
+            <button onClick={handleDelete} disabled={!selected} className={buttonClass} title="Delete the selected view">
+                <Trash2 className="h-4 w-4" />
+            </button>
+            <button onClick={handleCopyLink} className={buttonClass} title={copied ? 'Link copied' : 'Copy a link to this view'}>
+                <Link className={`h-4 w-4 ${copied ? 'text-green-600' : ''}`} />
+            </button>
+        </div>
+    );
+};
+
+export default SavedViewsPicker;
@@ -0,0 +1,94 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { getNyseHolidays } from '../lib/holidays';
+import { toIsoDate } from '../lib/dates';
+
+const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Meeting-day dates of a month grouped into weeks: `[[date | null, ...], ...]`
+// with one column per configured meeting day.
+const buildMonthSlots = (year, month, meetingDays) => {
+    const weeks = [];
+    let week = null;
+    for (let day = 1; day <= new Date(year, month + 1, 0).getDate(); day += 1) {
+        const date = new Date(year, month, day);
+        if (!week || (date.getDay() === 0 && week.some(Boolean))) {
+            week = meetingDays.map(() => null);
+            weeks.push(week);
+        }
+        const column = meetingDays.indexOf(date.getDay());
+        if (column !== -1) week[column] = date;
+    }
+    return weeks.filter(w => w.some(Boolean));
+};
+
+// --- Month view of the meeting slots ---
+// `scheduler` is the cohort's scheduler config: one column per meeting day.
+const ScheduleCalendar = ({ scheduleData, canceledDates, scheduler }) => {
+    const { meetingDays, skipNyseHolidays } = scheduler;
+
+    const [month, setMonth] = useState(() => {
+        const today = new Date();
+        return { year: today.getFullYear(), month: today.getMonth() };
+    });
+
+    const meetingsByDate = useMemo(() => {
+        return scheduleData.reduce((acc, item) => {
+            if (!acc.has(item.meeting_date)) acc.set(item.meeting_date, []);
+            acc.get(item.meeting_date).push(item);
+            return acc;
+        }, new Map());
+    }, [scheduleData]);
+
+    const canceled = useMemo(() => new Set(canceledDates), [canceledDates]);
+    const holidays = useMemo(() => new Set(skipNyseHolidays ? getNyseHolidays(month.year) : []), [month.year, skipNyseHolidays]);
+    const weeks = useMemo(() => buildMonthSlots(month.year, month.month, meetingDays), [month, meetingDays]);
+
+    const shiftMonth = (delta) => {
+        setMonth(({ year, month: m }) => {
+            const date = new Date(year, m + delta, 1);
+            return { year: date.getFullYear(), month: date.getMonth() };
+        });
+    };
+
+    const todayIso = toIsoDate(new Date());
+
+    return (
+        <div>
+            <div className="flex justify-between items-center mb-2">
+                <button onClick={() => shiftMonth(-1)} className="p-1 rounded hover:bg-gray-100" title="Previous month"><ChevronLeft size={18} /></button>
+                <span className="font-semibold text-gray-700">
+                    {new Date(month.year, month.month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}
+                </span>
+                <button onClick={() => shiftMonth(1)} className="p-1 rounded hover:bg-gray-100" title="Next month"><ChevronRight size={18} /></button>
+            </div>
+            <div className="grid gap-2 text-sm" style={{ gridTemplateColumns: `repeat(${meetingDays.length}, minmax(0, 1fr))` }}>
+                {meetingDays.map(day => (
+                    <div key={day} className="text-center text-xs font-semibold text-gray-500 uppercase">{daysOfWeek[day]}</div>
+                ))}
+                {weeks.flatMap((week, weekIndex) => week.map((date, column) => {
+                    if (!date) return <div key={`${weekIndex}-${column}`} />;
+                    const iso = toIsoDate(date);
+                    const isCanceled = canceled.has(iso);
+                    const isHoliday = holidays.has(iso);
+                    const meetings = meetingsByDate.get(iso) ?? [];
+                    return (
+                        <div key={iso} className={`p-2 rounded-lg border ${iso === todayIso ? 'border-blue-400' : 'border-gray-200'} ${isCanceled || isHoliday ? 'bg-gray-100' : 'bg-gray-50'}`}>
+                            <div className={`text-xs font-semibold ${isCanceled ? 'text-gray-400 line-through' : 'text-gray-600'}`}>{date.getDate()}</div>
+                            {isCanceled && <div className="text-xs text-red-500 line-through">Canceled</div>}
+                            {!isCanceled && isHoliday && <div className="text-xs text-gray-400">Holiday</div>}
+                            {meetings.map(meeting => (
+                                <div key={meeting['Sample ID']} className={isCanceled ? 'line-through text-gray-400' : ''}>
+                                    <div className="font-semibold text-gray-700 break-all">{meeting['Sample ID']}</div>
+                                    <div className="text-xs text-blue-600">{meeting.reason_for_priority}</div>
+                                </div>
+                            ))}
+                        </div>
+                    );
+                }))}
+            </div>
+        </div>
+    );
+};
+
+export default ScheduleCalendar;
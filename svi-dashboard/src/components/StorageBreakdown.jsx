@@ -0,0 +1,90 @@
+import React, { useMemo } from 'react';
+import { HardDrive } from 'lucide-react';
+import { isLegacyVolume, needsRebasecalling } from '../lib/samplePath';
+import { STORAGE_CONFIG } from '../config/storage';
+import { isProcessed } from '../config/dashboard';
+
+const STAGES = [
+    ['Processed', isProcessed],
+    ['Analyzed', row => row.geneyx_uploaded === '1'],
+    ['Reported', row => row.report === '1'],
+];
+
+// --- Storage & Chemistry Panel ---
+// Sample counts and pipeline status per storage volume and flowcell chemistry,
+// for planning migration off legacy volumes and re-basecalling of older
+// chemistries. Clicking a row filters the table to it via `onSelect`.
+const StorageBreakdown = ({ samples, onSelect }) => {
+    const groups = useMemo(() => {
+        const byGroup = samples.reduce((acc, row) => {
+            if (row.Volume === 'N/A') return acc;
+            const key = `${row.Volume}|${row.Chemistry}`;
+            if (!acc.has(key)) acc.set(key, { volume: row.Volume, chemistry: row.Chemistry, rows: [] });
+            acc.get(key).rows.push(row);
+            return acc;
+        }, new Map());
+        return [...byGroup.values()].sort((a, b) => a.volume.localeCompare(b.volume) || b.chemistry.localeCompare(a.chemistry, undefined, { numeric: true }));
+    }, [samples]);
+
+    const withoutData = samples.filter(row => row.Volume === 'N/A').length;
+    const toMigrate = groups.filter(group => isLegacyVolume(group.volume)).reduce((sum, group) => sum + group.rows.length, 0);
+    const toRebasecall = groups.filter(group => needsRebasecalling(group.chemistry)).reduce((sum, group) => sum + group.rows.length, 0);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+            <h2 className="font-franklin text-2xl font-bold text-gray-800 flex items-center mb-4"><HardDrive className="h-6 w-6 mr-2 text-blue-500" />Storage &amp; Chemistry</h2>
+
+            <div className="grid grid-cols-2 gap-4 mb-4">
+                <div className="p-3 rounded-lg bg-amber-50 border border-amber-200">
+                    <p className="text-sm text-amber-800">To migrate off legacy storage</p>
+                    <p className="text-2xl font-bold text-amber-700">{toMigrate}</p>
+                </div>
+                <div className="p-3 rounded-lg bg-purple-50 border border-purple-200">
+                    <p className="text-sm text-purple-800">{`To re-basecall (not ${STORAGE_CONFIG.currentChemistry})`}</p>
+                    <p className="text-2xl font-bold text-purple-700">{toRebasecall}</p>
+                </div>
+            </div>
+
+            {groups.length === 0 ? (
+                <p className="text-gray-500 text-center py-4">No samples have a flowcell directory yet.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                <th className="p-2 font-semibold">Volume</th>
+                                <th className="p-2 font-semibold">Chemistry</th>
+                                <th className="p-2 font-semibold text-right">Samples</th>
+                                {STAGES.map(([label]) => <th key={label} className="p-2 font-semibold text-right">{label}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {groups.map(({ volume, chemistry, rows }) => (
+                                <tr
+                                    key={`${volume}|${chemistry}`}
+                                    onClick={() => onSelect({ volume, chemistry })}
+                                    className="hover:bg-gray-50 cursor-pointer"
+                                    title="Show these samples in the table"
+                                >
+                                    <td className="p-2 whitespace-nowrap">
+                                        {volume}
+                                        {isLegacyVolume(volume) && <span className="ml-2 px-1.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700">Legacy</span>}
+                                    </td>
+                                    <td className="p-2 whitespace-nowrap">
+                                        {chemistry}
+                                        {needsRebasecalling(chemistry) && <span className="ml-2 px-1.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-700">Re-basecall</span>}
+                                    </td>
+                                    <td className="p-2 text-right font-semibold">{rows.length}</td>
+                                    {STAGES.map(([label, test]) => <td key={label} className="p-2 text-right">{rows.filter(test).length}</td>)}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {withoutData > 0 && <p className="text-xs text-gray-500 mt-3">{`${withoutData} accessioned samples have no flowcell directory yet.`}</p>}
+        </div>
+    );
+};
+
+export default StorageBreakdown;
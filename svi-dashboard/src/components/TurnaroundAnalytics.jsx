@@ -0,0 +1,146 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Timer } from 'lucide-react';
+import { TURNAROUND_STAGES, getStageDurations, summarizeDurations } from '../lib/turnaround';
+
+// Assigned to the cohort's identifier types in order
+const IDENTIFIER_COLORS = ['#6366f1', '#f59e0b', '#10b981', '#ec4899', '#0ea5e9'];
+
+const formatDays = (value) => (value === null ? '—' : `${Math.round(value)}d`);
+
+// Histogram bins in whole weeks, sized to give roughly a dozen bars
+const buildHistogram = (durations, identifiers) => {
+    if (durations.length === 0) return [];
+    const max = Math.max(...durations.map(d => d.days));
+    const width = Math.max(7, Math.ceil(max / 12 / 7) * 7);
+    const bins = Array.from({ length: Math.floor(max / width) + 1 }, (_, i) => ({
+        name: `${i * width}–${(i + 1) * width - 1}`,
+        ...Object.fromEntries(identifiers.map(id => [id, 0])),
+    }));
+    durations.forEach(({ identifier, days }) => {
+        const bin = bins[Math.floor(days / width)];
+        if (identifier in bin) bin[identifier] += 1;
+    });
+    return bins;
+};
+
+// Median duration per identifier for each month the stage was completed
+const buildMonthlyTrend = (durations) => {
+    const byMonth = durations.reduce((acc, { identifier, days, endDate }) => {
+        const month = `${endDate.getFullYear()}-${String(endDate.getMonth() + 1).padStart(2, '0')}`;
+        if (!acc[month]) acc[month] = {};
+        if (!acc[month][identifier]) acc[month][identifier] = [];
+        acc[month][identifier].push(days);
+        return acc;
+    }, {});
+    return Object.keys(byMonth).sort().map(month => ({
+        name: month,
+        ...Object.fromEntries(Object.entries(byMonth[month]).map(([id, days]) => [id, summarizeDurations(days).median])),
+    }));
+};
+
+// --- Turnaround Analytics Component ---
+// `samples` is the table's filtered data, so the same filters drive both views.
+// `identifiers` are the active cohort's sample types.
+const TurnaroundAnalytics = ({ samples, identifiers }) => {
+    const [stageKey, setStageKey] = useState(TURNAROUND_STAGES[0].key);
+    const stage = TURNAROUND_STAGES.find(s => s.key === stageKey);
+
+    const durationsByStage = useMemo(() => {
+        return Object.fromEntries(TURNAROUND_STAGES.map(s => [s.key, getStageDurations(samples, s)]));
+    }, [samples]);
+
+    const summaryRows = useMemo(() => {
+        return [...identifiers, 'All'].map(identifier => ({
+            identifier,
+            stages: TURNAROUND_STAGES.map(s => {
+                const durations = durationsByStage[s.key].filter(d => identifier === 'All' || d.identifier === identifier);
+                return summarizeDurations(durations.map(d => d.days));
+            }),
+        }));
+    }, [durationsByStage, identifiers]);
+
+    const histogram = useMemo(() => buildHistogram(durationsByStage[stageKey], identifiers), [durationsByStage, stageKey, identifiers]);
+    const trend = useMemo(() => buildMonthlyTrend(durationsByStage[stageKey]), [durationsByStage, stageKey]);
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200 mt-8">
+            <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4">
+                <h2 className="font-franklin text-2xl font-bold text-gray-800 flex items-center"><Timer className="h-6 w-6 mr-2 text-blue-500" />Turnaround Analytics</h2>
+                <span className="text-sm text-gray-500">{`Based on the ${samples.length} samples matching the table filters`}</span>
+            </div>
+
+            <div className="overflow-x-auto mb-6">
+                <table className="w-full text-left text-sm">
+                    <thead className="bg-gray-100">
+                        <tr>
+                            <th className="p-2 font-semibold">Type</th>
+                            {TURNAROUND_STAGES.map(s => (
+                                <th key={s.key} className="p-2 font-semibold text-center">{s.label}<div className="text-xs font-normal text-gray-500">median / 90th pct (n)</div></th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {summaryRows.map(({ identifier, stages }) => (
+                            <tr key={identifier} className={identifier === 'All' ? 'font-semibold' : ''}>
+                                <td className="p-2">{identifier}</td>
+                                {stages.map(({ count, median, p90 }, index) => (
+                                    <td key={TURNAROUND_STAGES[index].key} className="p-2 text-center text-gray-700">
+                                        {count > 0 ? `${formatDays(median)} / ${formatDays(p90)} (${count})` : '—'}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm w-fit mb-4">
+                {TURNAROUND_STAGES.map(s => (
+                    <button key={s.key} onClick={() => setStageKey(s.key)} className={`px-3 py-1 ${stageKey === s.key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>{s.label}</button>
+                ))}
+            </div>
+
+            {durationsByStage[stageKey].length === 0 ? (
+                <p className="text-gray-500 text-center py-8">
+                    {`No samples have both ${stage.start} and ${stage.end} dates.`}
+                </p>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                    <div>
+                        <h3 className="font-franklin text-lg font-semibold text-gray-700 mb-2">Distribution (days)</h3>
+                        <div style={{ width: '100%', height: 280 }}>
+                            <ResponsiveContainer>
+                                <BarChart data={histogram} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" />
+                                    <YAxis allowDecimals={false} />
+                                    <Tooltip />
+                                    <Legend />
+                                    {identifiers.map((id, i) => <Bar key={id} dataKey={id} stackId="a" fill={IDENTIFIER_COLORS[i % IDENTIFIER_COLORS.length]} />)}
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </div>
+                    <div>
+                        <h3 className="font-franklin text-lg font-semibold text-gray-700 mb-2">Monthly median (days, by completion month)</h3>
+                        <div style={{ width: '100%', height: 280 }}>
+                            <ResponsiveContainer>
+                                <LineChart data={trend} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="name" />
+                                    <YAxis allowDecimals={false} />
+                                    <Tooltip />
+                                    <Legend />
+                                    {identifiers.map((id, i) => <Line key={id} type="monotone" dataKey={id} stroke={IDENTIFIER_COLORS[i % IDENTIFIER_COLORS.length]} connectNulls dot />)}
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TurnaroundAnalytics;
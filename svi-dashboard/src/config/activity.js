@@ -0,0 +1,14 @@
+// --- Activity feed built from the dated data snapshots ---
+export const ACTIVITY_CONFIG = {
+    // Most recent snapshots loaded; each costs two CSV requests
+    maxSnapshots: 30,
+};
+
+// Event types in pipeline order, with the badge colors used in the feed
+export const ACTIVITY_TYPES = [
+    { type: 'accessioned', label: 'Accessioned', color: 'bg-blue-100 text-blue-700' },
+    { type: 'processed', label: 'Processed', color: 'bg-yellow-100 text-yellow-800' },
+    { type: 'geneyx', label: 'Uploaded to Geneyx', color: 'bg-purple-100 text-purple-700' },
+    { type: 'reported', label: 'Reported', color: 'bg-green-100 text-green-700' },
+    { type: 'meetingMoved', label: 'Meeting moved', color: 'bg-gray-200 text-gray-700' },
+];
@@ -0,0 +1,226 @@
+// --- Dashboard and cohort configuration ---
+// The cohorts served by this deployment (branding, their data files and
+// columns, sample types, turnaround targets and meeting scheduler) and how
+// the pipeline's status flags become table icons, filters, summary cards and
+// the status chart. Also imported by server/index.js, server/lists.js and
+// vite.config.js under plain Node.
+import { FlaskConical, Dna, DnaOff, Zap, ZapOff, MonitorCheck, MonitorOff, ClipboardPlus, ClipboardMinus, ClipboardCheck } from 'lucide-react';
+
+// The CSV files Database_Script.R writes, by role. Column fields:
+//   name      header text as written by Database_Script.R
+//   type      'string' (default), 'date' (YYYY-MM-DD), 'flag' (0/1) or 'integer'
+//   values    allowed values for a string column; 'identifiers' for the
+//             cohort's sample types
+//   nullable  NA / empty is accepted
+//   optional  the column may be absent from the header
+//   phi       protected health information, left out of de-identified mode and
+//             removed from de-identified builds: 'identifier' columns are also
+//             masked in the table, 'free-text' columns may mention names or MRNs
+const DATABASE_SCRIPT_FILES = {
+    database: {
+        file: 'svi_database.csv',
+        columns: [
+            { name: 'SamplePath', nullable: true },
+            // The full join keeps flowcell directories with no accessioning record
+            { name: 'Sample ID', nullable: true },
+            // NA when the accessioning cell was neither blue nor orange
+            { name: 'proband', type: 'flag', nullable: true },
+            { name: 'Date Received', type: 'date', nullable: true },
+            // PHI columns are absent when the data was served de-identified
+            { name: 'MRN', type: 'integer', nullable: true, optional: true, phi: 'identifier' },
+            { name: 'Submitter ID/ Acc. No.', nullable: true, optional: true, phi: 'identifier' },
+            { name: 'AGen ID', nullable: true },
+            { name: 'Comments', nullable: true, optional: true, phi: 'free-text' },
+            { name: 'Identifier', values: 'identifiers' },
+            { name: 'DataDate', type: 'date', nullable: true },
+            { name: 'report', type: 'flag' },
+            { name: 'geneyx_uploaded', type: 'flag' },
+            // Added for turnaround analytics; older exports do not have them
+            { name: 'report_date', type: 'date', nullable: true, optional: true },
+            { name: 'geneyx_date', type: 'date', nullable: true, optional: true },
+        ],
+    },
+    schedule: {
+        file: 'analysis_scheduler.csv',
+        columns: [
+            { name: 'Sample ID' },
+            { name: 'proband', type: 'flag', optional: true },
+            { name: 'Date Received', type: 'date', nullable: true, optional: true },
+            { name: 'Identifier', values: 'identifiers', optional: true },
+            { name: 'report', type: 'flag', optional: true },
+            { name: 'year_received', type: 'integer', nullable: true, optional: true },
+            { name: 'sample_id_num', type: 'integer', nullable: true, optional: true },
+            { name: 'priority_level', type: 'integer', optional: true },
+            { name: 'priority_rank', type: 'integer', optional: true },
+            { name: 'reason_for_priority', nullable: true, optional: true },
+            { name: 'meeting_date', type: 'date' },
+        ],
+    },
+    hotList: {
+        file: 'hotlist.csv',
+        columns: [
+            { name: 'Sample ID' },
+        ],
+    },
+    canceledMeetings: {
+        file: 'canceled_meetings.csv',
+        columns: [
+            { name: 'Date', type: 'date' },
+        ],
+    },
+    // Written next to the dated snapshot directories
+    snapshotIndex: {
+        file: 'snapshots/index.csv',
+        columns: [
+            { name: 'Date', type: 'date' },
+        ],
+    },
+};
+
+// The first cohort is the default. Entries:
+//   dataPath          where its CSV files are served: '' for the site root,
+//                     otherwise e.g. '/cohorts/<id>' (server/index.js serves
+//                     /cohorts/ from DATA_DIR)
+//   files             its data files and their columns, by role
+//   identifiers       the sample types its Identifier column may hold, plain
+//                     words that Sample IDs also carry as a suffix;
+//                     `baseIdentifier` is the type of a Sample ID without one
+//                     (e.g. MCW_SVI_0176 vs MCW_SVI_0175_UDD)
+//   sampleNumber      finds the study number in a Sample ID or a comment
+//                     (group 1); samples sharing one are the same family
+//   turnaroundTargets days from Date Received by which each stage should be
+//                     complete, per Identifier; a sample past a target for a
+//                     stage it has not reached is flagged overdue. Identifiers
+//                     not listed have no targets.
+//   scheduler         meeting cadence and priority tiers, mirroring the
+//                     priority rules of the cohort's Database_Script.R run:
+//                     lower levels are scheduled first, ties broken by Date
+//                     Received, then by the numeric Sample ID
+//   filePrefix        starts the names of exported files
+//   meetingTitle      heads the printed meeting packet
+//   calendar          labels .ics exports; `uidDomain` ends each event UID
+//   editableLists     hot-list and meeting edits go through the list API,
+//                     which manages the files at the root, so only a root
+//                     cohort sets it
+const SVI_COHORT = {
+    id: 'svi',
+    name: 'SVI',
+    title: 'Structural Variance Initiative Sample Dashboard',
+    subtitle: 'MCW / CW Division of Genomic Pediatrics',
+    logos: [
+        { src: '/mcw.png', alt: 'MCW Logo' },
+        { src: '/cw.png', alt: 'CW Logo' },
+    ],
+    dataPath: '',
+    files: DATABASE_SCRIPT_FILES,
+    identifiers: ['UIC', 'UDD', 'Base'],
+    baseIdentifier: 'Base',
+    // Both MCW_SVI_0123 and the older SVI_MCW_0123 spelling
+    sampleNumber: /SVI[-_](?:MCW[-_])?(\d{4})/i,
+    turnaroundTargets: {
+        UIC: { processed: 14, geneyx: 30, reported: 60 },
+        UDD: { processed: 30, geneyx: 90, reported: 180 },
+        Base: { processed: 60, geneyx: 180, reported: 365 },
+    },
+    scheduler: {
+        // JS weekday numbers (0 = Sunday): the analysis meeting runs Tuesdays and Fridays
+        meetingDays: [2, 5],
+        skipNyseHolidays: true,
+        hotList: { level: 0, reason: 'CRITICAL: Hot List' },
+        // A tier with `years` assigns `level` to the first listed year and one more
+        // for each following year; receipt years not listed fall through to `fallback`.
+        tiers: [
+            { identifier: 'UIC', level: 1, reason: 'Highest Priority: UIC' },
+            { identifier: 'UDD', level: 2, years: [2025, 2024, 2023, 2022] },
+            { identifier: 'Base', level: 102, years: [2025, 2024, 2023, 2022] },
+        ],
+        fallback: { level: 999 },
+    },
+    filePrefix: 'svi',
+    meetingTitle: 'SVI Analysis Meeting',
+    calendar: {
+        name: 'SVI Analysis Meetings',
+        prodId: '-//MCW Genomic Pediatrics//SVI Dashboard//EN',
+        eventTitle: 'SVI analysis',
+        uidDomain: 'svi-dashboard',
+    },
+    editableLists: true,
+};
+
+// A synthetic cohort with its own sample types, numbering, targets and
+// cadence, for trying cohort switching in `npm run dev`. Its files are in
+// public/cohorts/demo; builds leave it out of the selector.
+const DEMO_COHORT = {
+    id: 'demo',
+    name: 'Demo',
+    title: 'Demo Sequencing Study Dashboard',
+    subtitle: 'Synthetic data for development',
+    logos: [],
+    dataPath: '/cohorts/demo',
+    files: DATABASE_SCRIPT_FILES,
+    identifiers: ['Rapid', 'Standard'],
+    baseIdentifier: 'Standard',
+    sampleNumber: /DEMO[-_](\d{3})/i,
+    turnaroundTargets: {
+        Rapid: { processed: 7, geneyx: 14, reported: 30 },
+        Standard: { processed: 45, geneyx: 120, reported: 240 },
+    },
+    scheduler: {
+        meetingDays: [1],
+        skipNyseHolidays: false,
+        hotList: { level: 0, reason: 'Hot List' },
+        tiers: [
+            { identifier: 'Rapid', level: 1, reason: 'Rapid turnaround' },
+            { identifier: 'Standard', level: 10, years: [2025, 2024] },
+        ],
+        fallback: { level: 999 },
+    },
+    filePrefix: 'demo',
+    meetingTitle: 'Demo Case Review',
+    calendar: {
+        name: 'Demo Case Reviews',
+        prodId: '-//Demo Sequencing Study//Dashboard//EN',
+        eventTitle: 'Demo case review',
+        uidDomain: 'demo-dashboard',
+    },
+    editableLists: false,
+};
+
+// `import.meta.env` only exists in code built by Vite
+export const COHORTS = [SVI_COHORT, ...(import.meta.env?.DEV ? [DEMO_COHORT] : [])];
+
+// A sample counts as processed once the pipeline has found its BAM files
+export const isProcessed = (row) => row.DataDate !== 'N/A';
+
+// Pipeline status flags in pipeline order. `value(row)` is '1', '0' or 'N/A';
+// `key` names the flag in view state and `param` in the URL. Each flag gets a
+// status icon (`icons.on` / `icons.off`) and a Yes/No filter select.
+export const STATUS_FLAGS = [
+    { key: 'proband', param: 'proband', label: 'Proband', value: row => row.proband, icons: { on: Dna, off: DnaOff }, defaultFilter: '1' },
+    { key: 'processed', param: 'processed', label: 'Processed', value: row => (isProcessed(row) ? '1' : '0'), icons: { on: Zap, off: ZapOff }, defaultFilter: 'All' },
+    { key: 'geneyx', param: 'analyzed', label: 'Analyzed', value: row => row.geneyx_uploaded, icons: { on: MonitorCheck, off: MonitorOff }, defaultFilter: 'All' },
+    { key: 'report', param: 'report', label: 'Report', value: row => row.report, icons: { on: ClipboardPlus, off: ClipboardMinus }, defaultFilter: 'All' },
+];
+
+// Cards above the table; a card without `flag` counts every sample. Class
+// names are spelled out so Tailwind keeps them.
+export const SUMMARY_CARDS = [
+    { label: 'Total Samples', icon: FlaskConical, iconClass: 'text-blue-500', valueClass: 'text-blue-600' },
+    { label: 'Probands', flag: 'proband', icon: Dna, iconClass: 'text-green-500', valueClass: 'text-green-600' },
+    { label: 'Processed Samples', flag: 'processed', icon: Zap, iconClass: 'text-yellow-500', valueClass: 'text-yellow-600' },
+    { label: 'Reported Samples', flag: 'report', icon: ClipboardCheck, iconClass: 'text-indigo-500', valueClass: 'text-indigo-600' },
+];
+
+// The stacked status chart counts samples with `unitFlag` set (or families
+// headed by one), grouped by `groupBy`. A unit is counted in the first stage
+// it has reached, so `stages` run from most to least advanced; `familyStatus`
+// is the matching groupFamilies status. Bars stack bottom-up from `pending`.
+export const STATUS_CHART = {
+    groupBy: 'Identifier',
+    unitFlag: 'proband',
+    stages: [
+        { name: 'Reported', flag: 'report', familyStatus: 'reported', fill: '#22c55e' },
+        { name: 'Analyzed', flag: 'geneyx', familyStatus: 'analysisComplete', fill: '#facc15' },
+    ],
+    pending: { name: 'Pending', label: 'Pending Analysis', fill: '#a1a1aa' },
+};
@@ -0,0 +1,35 @@
+// --- Sample table (grid) layout ---
+export const GRID_CONFIG = {
+    // Rows are virtualized, so every row has a fixed height; a family head
+    // carries an extra line of status pills. Cells never wrap and the row
+    // divider is drawn inside the row, so these are the full heights.
+    rowHeight: 49,
+    familyRowHeight: 75,
+    // Rows rendered above and below the visible window
+    overscanRows: 10,
+    maxHeight: 650,
+    minColumnWidth: 60,
+    defaultColumnWidth: 150,
+    // Layout edits are saved once a resize or drag has paused this long
+    saveDelayMs: 300,
+};
+
+// The layout a new user starts with, in display order. Other columns of
+// svi_database.csv and the joined schedule columns are available but hidden.
+export const DEFAULT_GRID_COLUMNS = [
+    { column: 'Status', width: 290 },
+    { column: 'Sample ID', width: 200 },
+    { column: 'Date Received', width: 130 },
+    { column: 'MRN', width: 110 },
+    { column: 'Submitter ID/ Acc. No.', width: 170 },
+    { column: 'Comments', width: 280 },
+    { column: 'AGen ID', width: 110 },
+    { column: 'DataDate', width: 120 },
+    { column: 'SamplePath', width: 280 },
+];
+
+// Always shown: it holds the row's status icons and controls
+export const LOCKED_GRID_COLUMNS = ['Status'];
+
+// Columns joined into each sample from analysis_scheduler.csv by Sample ID
+export const SCHEDULE_GRID_COLUMNS = ['meeting_date'];
@@ -0,0 +1,23 @@
+// --- Search box query language ---
+// Field name → sample column (from svi_database.csv or parsed from
+// SamplePath). `type` decides how a term matches:
+//   text  case-insensitive substring
+//   enum  case-insensitive equality; values are suggested from the data
+//   flag  the 0/1 pipeline flags; bare words never search these
+//   date  YYYY-MM-DD, compared with = (prefix), >, >=, < or <=
+export const QUERY_FIELDS = [
+    { name: 'id', column: 'Sample ID', type: 'text' },
+    { name: 'received', column: 'Date Received', type: 'date' },
+    { name: 'data', column: 'DataDate', type: 'date' },
+    { name: 'type', column: 'Identifier', type: 'enum' },
+    { name: 'proband', column: 'proband', type: 'flag' },
+    { name: 'analyzed', column: 'geneyx_uploaded', type: 'flag' },
+    { name: 'report', column: 'report', type: 'flag' },
+    { name: 'mrn', column: 'MRN', type: 'text' },
+    { name: 'submitter', column: 'Submitter ID/ Acc. No.', type: 'text' },
+    { name: 'agen', column: 'AGen ID', type: 'text' },
+    { name: 'comments', column: 'Comments', type: 'text' },
+    { name: 'path', column: 'SamplePath', type: 'text' },
+    { name: 'volume', column: 'Volume', type: 'enum' },
+    { name: 'chemistry', column: 'Chemistry', type: 'enum' },
+];
@@ -0,0 +1,7 @@
+// --- Background refresh of the data files ---
+export const REFRESH_CONFIG = {
+    // How often an open tab revalidates the CSV files
+    intervalMs: 5 * 60 * 1000,
+    // Database_Script.R runs daily; older data means the pipeline has stopped
+    staleAfterMs: 24 * 60 * 60 * 1000,
+};
@@ -0,0 +1,12 @@
+// --- Sequencing storage volumes and flowcell chemistries ---
+// Both are read from SamplePath, the flowcell directory Database_Script.R
+// found the sample's BAM files in, e.g. /data/svi-prom/flowcell_10.4.1/.
+export const STORAGE_CONFIG = {
+    volumes: [
+        { name: 'svi-prom', prefix: '/data/svi-prom/' },
+        // Being retired; its samples need migrating
+        { name: 'oldmaple', prefix: '/oldmaple/', legacy: true },
+    ],
+    // Data basecalled on any other chemistry is a re-basecalling candidate
+    currentChemistry: '10.4.1',
+};
@@ -0,0 +1,10 @@
+// --- Aging buckets ---
+// Turnaround targets are set per cohort in the dashboard config.
+
+// Age ranges, in days since receipt, for the unreported-probands card
+export const AGING_BUCKETS = [
+    { key: '0-30', label: '0–30 days', min: 0, max: 30 },
+    { key: '31-90', label: '31–90 days', min: 31, max: 90 },
+    { key: '91-180', label: '91–180 days', min: 91, max: 180 },
+    { key: '180+', label: '180+ days', min: 181, max: Infinity },
+];
@@ -0,0 +1,111 @@
+// --- Activity feed: pipeline events found by diffing consecutive snapshots ---
+// Database_Script.R keeps a dated copy of svi_database.csv and
+// analysis_scheduler.csv per run. An event is dated by the snapshot it first
+// appears in, i.e. the pipeline run that noticed it.
+import { loadCsv } from './csv';
+import { assignRowKeys, getRowKey, fetchDataFile } from './refresh';
+import { toIsoDate } from './dates';
+import { getCohortSchemas, getSnapshotSchema } from './schemas';
+import { readCohortStorage, writeCohortStorage } from './dashboard';
+import { ACTIVITY_CONFIG } from '../config/activity';
+import { isProcessed } from '../config/dashboard';
+
+const LAST_VISIT_STORAGE_NAME = 'last-visit';
+
+const asDetail = (value) => (value && value !== 'N/A' ? value : null);
+
+// Stage transitions between two copies of the same sample
+const SAMPLE_EVENTS = [
+    { type: 'processed', test: (before, after) => !isProcessed(before) && isProcessed(after), detail: after => asDetail(after.DataDate) },
+    { type: 'geneyx', test: (before, after) => before.geneyx_uploaded !== '1' && after.geneyx_uploaded === '1', detail: after => asDetail(after.geneyx_date) },
+    { type: 'reported', test: (before, after) => before.report !== '1' && after.report === '1', detail: after => asDetail(after.report_date) },
+];
+
+// Events between two snapshots `{ date, samples, schedule }`. A sample seen for
+// the first time is only reported as accessioned, whatever its stage.
+export const diffSnapshots = (before, after) => {
+    const events = [];
+    const add = (type, sample, detail) => events.push({ date: after.date, type, key: getRowKey(sample), sampleId: sample['Sample ID'], detail });
+
+    const samplesBefore = new Map(before.samples.map(sample => [getRowKey(sample), sample]));
+    after.samples.forEach(sample => {
+        if (sample['Sample ID'] === 'N/A') return;
+        const previous = samplesBefore.get(getRowKey(sample));
+        if (!previous) {
+            add('accessioned', sample, asDetail(sample['Date Received']));
+            return;
+        }
+        SAMPLE_EVENTS.forEach(({ type, test, detail }) => {
+            if (test(previous, sample)) add(type, sample, detail(sample));
+        });
+    });
+
+    // Schedule rows carry only the Sample ID; the event takes the sample's key
+    const samplesById = new Map(after.samples.map(sample => [sample['Sample ID'], sample]));
+    const meetingsBefore = new Map(before.schedule.map(item => [item['Sample ID'], item.meeting_date]));
+    after.schedule.forEach(item => {
+        const from = meetingsBefore.get(item['Sample ID']);
+        if (from && from !== item.meeting_date) add('meetingMoved', samplesById.get(item['Sample ID']) ?? item, `${from} → ${item.meeting_date}`);
+    });
+    return events;
+};
+
+const loadSnapshot = async (date, cohort) => {
+    const { database, schedule: scheduleSchema } = getCohortSchemas(cohort);
+    const [svi, schedule] = await Promise.all([database, scheduleSchema].map(schema => {
+        const snapshotSchema = getSnapshotSchema(schema, date, cohort);
+        return fetch(snapshotSchema.path).then(async response => {
+            if (!response.ok) throw new Error(`Could not load ${snapshotSchema.file}: ${response.statusText}`);
+            return loadCsv(await response.text(), snapshotSchema);
+        });
+    }));
+    return { date, samples: assignRowKeys(svi.data), schedule: schedule.data };
+};
+
+// Dated snapshots never change once written, so each is loaded and each
+// consecutive pair diffed once per page. Keep one cache per cohort and pass it
+// to every loadActivity call.
+export const createActivityCache = () => ({ snapshots: new Map(), diffs: new Map() });
+
+// Resolves `{ events, snapshots, issues }` with events newest first and the
+// dates of the snapshots that were compared. No snapshots yet means no events.
+// A snapshot missing either file is skipped rather than diffed as empty,
+// reported in `issues`, and tried again on the next call. Snapshots are read
+// from the cohort's data directory.
+export const loadActivity = async (cohort, cache = createActivityCache()) => {
+    const index = await fetchDataFile(getCohortSchemas(cohort).snapshotIndex, { required: false });
+    const dates = index.data.map(row => row.Date).sort().slice(-ACTIVITY_CONFIG.maxSnapshots);
+
+    // Snapshots that fell out of the window are dropped from the cache
+    [...cache.snapshots.keys()].filter(date => !dates.includes(date)).forEach(date => cache.snapshots.delete(date));
+
+    const issues = [];
+    await Promise.all(dates.filter(date => !cache.snapshots.has(date)).map(date => loadSnapshot(date, cohort)
+        .then(snapshot => cache.snapshots.set(date, snapshot))
+        .catch(e => issues.push({ file: `snapshots/${date}`, line: null, reason: `Snapshot skipped: ${e.message}` }))));
+    const snapshots = dates.filter(date => cache.snapshots.has(date)).map(date => cache.snapshots.get(date));
+
+    const events = [];
+    for (let i = 1; i < snapshots.length; i += 1) {
+        const pair = `${snapshots[i - 1].date}|${snapshots[i].date}`;
+        if (!cache.diffs.has(pair)) cache.diffs.set(pair, diffSnapshots(snapshots[i - 1], snapshots[i]));
+        events.push(...cache.diffs.get(pair));
+    }
+    // Stable sort keeps pipeline order within a day
+    events.sort((a, b) => b.date.localeCompare(a.date));
+    return { events, snapshots: snapshots.map(snapshot => snapshot.date), issues };
+};
+
+// The last visit is the newest snapshot the user had seen, so "since your last
+// visit" means exactly the pipeline runs they have not seen yet.
+export const readLastVisit = (cohort) => {
+    try {
+        return JSON.parse(readCohortStorage(LAST_VISIT_STORAGE_NAME, cohort));
+    } catch {
+        return null;
+    }
+};
+
+export const saveLastVisit = (snapshot, cohort) => {
+    writeCohortStorage(LAST_VISIT_STORAGE_NAME, cohort, JSON.stringify({ snapshot, visitedOn: toIsoDate(new Date()) }));
+};
@@ -0,0 +1,38 @@
+// --- Client for the list-editing API in server/index.js ---
+// The API only exists when the dashboard is served by `npm run serve`; on a
+// plain static host `checkApi` resolves false and editing controls stay hidden.
+
+const USER_STORAGE_KEY = 'svi-dashboard:user';
+
+export const checkApi = () =>
+    fetch('/api/health')
+        .then(response => response.ok && (response.headers.get('Content-Type') ?? '').includes('application/json'))
+        .catch(() => false);
+
+// The change log records who made each edit. The name is entered next to the
+// editing controls and remembered per browser; without one the server logs the
+// client address.
+export const readEditor = () => window.localStorage.getItem(USER_STORAGE_KEY) ?? '';
+
+export const saveEditor = (name) => {
+    window.localStorage.setItem(USER_STORAGE_KEY, name);
+};
+
+const request = async (method, url, body) => {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(payload.error ?? `${method} ${url} failed: ${response.statusText}`);
+    return payload;
+};
+
+const listUrl = (list, value) => `/api/lists/${list}${value ? `/${encodeURIComponent(value)}` : ''}`;
+
+export const addToList = (list, value, user) =>
+    request('POST', listUrl(list), { value, user }).then(({ values }) => values);
+
+export const removeFromList = (list, value, user) =>
+    request('DELETE', listUrl(list, value), { user }).then(({ values }) => values);
@@ -0,0 +1,130 @@
+// --- Data-quality audit of the pipeline outputs ---
+// Each rule returns the offending rows as `{ key, sampleId, detail }`; `key`
+// matches getRowKey so a finding can open the sample's detail drawer.
+// `rows` is svi_database.csv as loaded, before App hides the empty join rows.
+import { getRowKey } from './refresh';
+import { getSampleNumber } from './families';
+import { parseDate, daysBetween } from './dates';
+
+const hasSampleId = (row) => row['Sample ID'] !== 'N/A';
+
+const finding = (row, detail) => ({ key: getRowKey(row), sampleId: row['Sample ID'], detail });
+
+const groupBy = (rows, getKey) => rows.reduce((acc, row) => {
+    const key = getKey(row);
+    if (key === null) return acc;
+    if (!acc.has(key)) acc.set(key, []);
+    acc.get(key).push(row);
+    return acc;
+}, new Map());
+
+// Database_Script.R derives Identifier from an exact type ending such as
+// _UIC / _UDD; a suffix anywhere after the number (e.g. "_UDDx") is what
+// accessioning meant. No suffix means the cohort's base identifier.
+const getSuffixIdentifier = (sampleId, cohort) => {
+    const number = cohort.sampleNumber.exec(sampleId);
+    const suffixed = cohort.identifiers.filter(id => id !== cohort.baseIdentifier);
+    const match = number && suffixed.length > 0 && new RegExp(`_(${suffixed.join('|')})`, 'i').exec(sampleId.slice(number.index + number[0].length));
+    return match ? suffixed.find(id => id.toLowerCase() === match[1].toLowerCase()) : cohort.baseIdentifier;
+};
+
+export const AUDIT_RULES = [
+    {
+        id: 'duplicate-sample-id',
+        title: 'Duplicate Sample IDs',
+        description: 'The same Sample ID appears on more than one row, usually one per flowcell directory.',
+        check: ({ rows }) => [...groupBy(rows.filter(hasSampleId), row => row['Sample ID']).values()]
+            .filter(group => group.length > 1)
+            .map(group => finding(group[0], `${group.length} rows: ${group.map(row => row.SamplePath).join(', ')}`)),
+    },
+    {
+        id: 'duplicate-svi-number',
+        title: 'Duplicate sample numbers',
+        description: 'Different Sample IDs share a sample number, so the join matched them to the same data.',
+        check: ({ samples, cohort }) => [...groupBy(samples.filter(hasSampleId), row => getSampleNumber(row['Sample ID'], cohort)).entries()]
+            .map(([number, group]) => [number, [...new Map(group.map(row => [row['Sample ID'], row])).values()]])
+            .filter(([, distinct]) => distinct.length > 1)
+            .flatMap(([number, distinct]) => distinct.map(row => finding(row, `No. ${number}: ${distinct.map(other => other['Sample ID']).join(', ')}`))),
+    },
+    {
+        id: 'report-without-geneyx',
+        title: 'Report without Geneyx upload',
+        description: 'A report exists but the sample was never uploaded to Geneyx.',
+        check: ({ samples }) => samples
+            .filter(row => row.report === '1' && row.geneyx_uploaded !== '1')
+            .map(row => finding(row, null)),
+    },
+    {
+        id: 'data-before-received',
+        title: 'DataDate before Date Received',
+        description: 'The newest BAM file predates the sample arriving in the lab.',
+        check: ({ samples }) => samples
+            .filter(row => {
+                const received = parseDate(row['Date Received']);
+                const processed = parseDate(row.DataDate);
+                return received && processed && processed < received;
+            })
+            .map(row => finding(row, `Received ${row['Date Received']}, data ${row.DataDate}`)),
+    },
+    {
+        id: 'identifier-suffix',
+        title: 'Identifier disagrees with Sample ID suffix',
+        description: 'The Sample ID suffix names a different cohort than the Identifier column.',
+        check: ({ samples, cohort }) => samples
+            .filter(hasSampleId)
+            .filter(row => getSuffixIdentifier(row['Sample ID'], cohort) !== row.Identifier)
+            .map(row => finding(row, `Identifier ${row.Identifier}, suffix suggests ${getSuffixIdentifier(row['Sample ID'], cohort)}`)),
+    },
+    {
+        id: 'scheduled-but-reported',
+        title: 'Scheduled samples already reported',
+        description: 'analysis_scheduler.csv still lists a sample the database marks as reported.',
+        check: ({ samples, schedule }) => {
+            const reported = new Map(samples.filter(row => row.report === '1').map(row => [row['Sample ID'], row]));
+            return schedule
+                .filter(item => reported.has(item['Sample ID']))
+                .map(item => finding(reported.get(item['Sample ID']), `Meeting ${item.meeting_date}`));
+        },
+    },
+    {
+        id: 'hotlist-missing',
+        title: 'Hot-list entries missing from the database',
+        description: 'hotlist.csv names a Sample ID that svi_database.csv does not contain.',
+        check: ({ rows, hotList }) => {
+            const ids = new Set(rows.map(row => row['Sample ID']));
+            return hotList.filter(id => !ids.has(id)).map(id => ({ key: null, sampleId: id, detail: null }));
+        },
+    },
+    {
+        id: 'flowcell-without-sample',
+        title: 'Flowcell directories with no Sample ID',
+        description: 'A sequencing directory matched no accessioning record.',
+        check: ({ rows }) => rows
+            .filter(row => !hasSampleId(row) && row.SamplePath !== 'N/A')
+            .map(row => ({ key: null, sampleId: 'N/A', detail: row.SamplePath })),
+    },
+    {
+        id: 'accessioned-without-data',
+        title: 'Accessioned samples with no data',
+        description: 'No flowcell directory was found for an accessioned sample.',
+        check: ({ samples, today }) => samples
+            .filter(row => hasSampleId(row) && row.SamplePath === 'N/A')
+            .map(row => {
+                const received = parseDate(row['Date Received']);
+                return finding(row, received ? `Received ${daysBetween(received, today)} days ago` : 'No receipt date');
+            }),
+    },
+    {
+        id: 'proband-missing',
+        title: 'Proband flag missing',
+        description: 'The accessioning cell was neither blue (proband) nor orange (relative).',
+        check: ({ samples }) => samples
+            .filter(row => hasSampleId(row) && row.proband === 'N/A')
+            .map(row => finding(row, null)),
+    },
+];
+
+// Runs every rule: `[{ ...rule, findings }]` in AUDIT_RULES order. `cohort`
+// gives the sample numbering and identifier types.
+export const runAudit = ({ rows, samples, schedule, hotList, cohort, today = new Date() }) =>
+    AUDIT_RULES.map(rule => ({ ...rule, findings: rule.check({ rows, samples, schedule, hotList, cohort, today }) }));
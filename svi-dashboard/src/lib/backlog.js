@@ -0,0 +1,106 @@
+// --- Cumulative pipeline counts and backlog clearance forecast ---
+import { parseDate, daysBetween, toIsoDate } from './dates';
+import { generateMeetingDates } from './scheduler';
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+const startOfPeriod = (date, granularity) => {
+    if (granularity === 'month') return new Date(date.getFullYear(), date.getMonth(), 1);
+    const offset = (date.getDay() + 6) % 7; // weeks start on Monday
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+};
+
+const nextPeriod = (date, granularity) => (granularity === 'month'
+    ? new Date(date.getFullYear(), date.getMonth() + 1, 1)
+    : new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7));
+
+const countBefore = (dates, end) => dates.filter(date => date < end).length;
+
+// The open proband backlog: probands not yet reported
+export const isAwaitingReport = (sample) => sample.proband === '1' && sample.report !== '1';
+
+// One row per week or month from the first receipt to today with cumulative
+// Received / Processed / Reported counts and the open proband Backlog at the
+// end of the period. Reported and Backlog need report_date: probands reported
+// without a date cannot be placed in time and are left out of both.
+export const buildBacklogSeries = (samples, { granularity = 'month', today = new Date() } = {}) => {
+    const received = samples.map(s => parseDate(s['Date Received'])).filter(Boolean);
+    if (received.length === 0) return [];
+    const processed = samples.map(s => parseDate(s.DataDate)).filter(Boolean);
+    const reported = samples.filter(s => s.report === '1').map(s => parseDate(s.report_date)).filter(Boolean);
+
+    const probands = samples
+        .filter(s => s.proband === '1')
+        .map(s => ({ received: parseDate(s['Date Received']), reported: s.report === '1' ? parseDate(s.report_date) : null, open: isAwaitingReport(s) }))
+        .filter(p => p.received && (p.open || p.reported));
+
+    const rows = [];
+    const last = startOfPeriod(today, granularity);
+    for (let period = startOfPeriod(new Date(Math.min(...received)), granularity); period <= last; period = nextPeriod(period, granularity)) {
+        const end = nextPeriod(period, granularity);
+        rows.push({
+            name: granularity === 'month' ? toIsoDate(period).slice(0, 7) : toIsoDate(period),
+            Received: countBefore(received, end),
+            Processed: countBefore(processed, end),
+            Reported: countBefore(reported, end),
+            Backlog: probands.filter(p => p.received < end && (p.open || p.reported >= end)).length,
+        });
+    }
+    return rows;
+};
+
+// Weekdays the published schedule meets on, e.g. [2, 5] for Tuesday/Friday
+export const getScheduleCadence = (scheduleData) => {
+    const days = new Set(scheduleData.map(item => parseDate(item.meeting_date)).filter(Boolean).map(date => date.getDay()));
+    return [...days].sort((a, b) => a - b);
+};
+
+// Clearance dates for the open proband backlog:
+//   capacity     last meeting needed at one sample per meeting with `meetingDays`
+//   reporting    today + backlog / recent reporting rate (needs report_date)
+// The later of the two is the realistic forecast: extra meetings only help
+// while reporting keeps pace. With report dates exported but none in the rate
+// window reporting has stalled, and no forecast is made (`stalled`). The
+// result echoes `rateWindowDays` for describing the rate.
+export const forecastClearance = (samples, {
+    meetingDays,
+    canceledDates = [],
+    skipNyseHolidays = true,
+    today = new Date(),
+    rateWindowDays = 90,
+}) => {
+    const backlog = samples.filter(isAwaitingReport).length;
+    const windowStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - rateWindowDays);
+    const datedReports = samples.filter(s => s.report === '1' && parseDate(s.report_date));
+    const recentReports = datedReports.filter(s => parseDate(s.report_date) >= windowStart).length;
+    const reportsPerWeek = datedReports.length > 0 ? recentReports / (rateWindowDays / 7) : null;
+
+    const meetings = backlog > 0 && meetingDays.length > 0
+        ? generateMeetingDates(backlog, { from: today, meetingDays, canceledDates, skipNyseHolidays })
+        : [];
+    const capacityDate = meetings.length > 0 ? parseDate(meetings[meetings.length - 1]) : null;
+
+    const reportingDate = backlog > 0 && reportsPerWeek > 0
+        ? new Date(today.getTime() + (backlog / reportsPerWeek) * MS_PER_WEEK)
+        : null;
+
+    const stalled = backlog > 0 && reportsPerWeek === 0;
+    let forecastDate = null;
+    if (!stalled) {
+        forecastDate = capacityDate && reportingDate
+            ? new Date(Math.max(capacityDate, reportingDate))
+            : capacityDate ?? reportingDate;
+    }
+
+    return {
+        backlog,
+        meetingsPerWeek: meetingDays.length,
+        reportsPerWeek,
+        rateWindowDays,
+        capacityDate,
+        reportingDate,
+        stalled,
+        forecastDate,
+        weeksToClear: forecastDate ? daysBetween(today, forecastDate) / 7 : null,
+    };
+};
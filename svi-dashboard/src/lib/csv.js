@@ -0,0 +1,177 @@
+// --- RFC 4180 CSV parsing and schema validation shared by every data file ---
+
+// Values the R pipeline writes for missing data; the UI shows them all as 'N/A'.
+const MISSING_VALUES = new Set(['', 'NA', 'N/A']);
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+// --- Tokenizer ---
+// Splits CSV text into records of raw string fields. Quoted fields may contain
+// commas, doubled quotes and line breaks. Each record keeps the 1-based line on
+// which it starts so validation messages can point back into the file.
+export const parseCsv = (text) => {
+    const records = [];
+    const errors = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let i = 0;
+
+    const endRecord = () => {
+        fields.push(field);
+        // Skip blank lines, including the trailing newline at end of file
+        if (!(fields.length === 1 && fields[0] === '')) {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    if (text.charCodeAt(0) === 0xfeff) i = 1; // Strip a UTF-8 byte order mark
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                if (char === '\n') line += 1;
+                field += char;
+            }
+            i += 1;
+            continue;
+        }
+
+        if (char === '"') {
+            if (field === '') {
+                inQuotes = true;
+            } else {
+                errors.push({ line, reason: 'Unexpected quote inside an unquoted field' });
+                field += char;
+            }
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            endRecord();
+            line += 1;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+        i += 1;
+    }
+
+    if (inQuotes) {
+        errors.push({ line: recordLine, reason: 'Unterminated quoted field' });
+    }
+    if (field !== '' || fields.length > 0) endRecord();
+
+    return { records, errors };
+};
+
+// --- Value checks ---
+export const isValidDate = (value) => {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return false;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const checkValue = (column, value) => {
+    switch (column.type) {
+        case 'date':
+            return isValidDate(value) ? null : `expected a YYYY-MM-DD date, got "${value}"`;
+        case 'flag':
+            return value === '0' || value === '1' ? null : `expected 0 or 1, got "${value}"`;
+        case 'integer':
+            return INTEGER_PATTERN.test(value) ? null : `expected an integer, got "${value}"`;
+        default:
+            break;
+    }
+    if (column.values && !column.values.includes(value)) {
+        return `expected one of ${column.values.join(', ')}, got "${value}"`;
+    }
+    return null;
+};
+
+// --- Schema-aware loader ---
+// Parses `text` against `schema` and returns `{ header, data, issues }`.
+// Columns with an empty header (R's row-name column, trailing commas) are
+// ignored. Rows that cannot be parsed or fail validation are left out of `data`
+// and reported in `issues` as `{ file, line, reason }`.
+export const loadCsv = (text, schema) => {
+    const { file } = schema;
+    const issues = [];
+    const { records, errors } = parseCsv(text);
+    errors.forEach(({ line, reason }) => issues.push({ file, line, reason }));
+
+    if (records.length === 0) {
+        issues.push({ file, line: null, reason: 'File is empty' });
+        return { header: [], data: [], issues };
+    }
+
+    const [headerRecord, ...rows] = records;
+    const rawHeader = headerRecord.fields.map(h => h.trim());
+    const header = rawHeader.filter(h => h !== '');
+
+    const missingColumns = schema.columns.filter(c => !c.optional && !rawHeader.includes(c.name));
+    if (missingColumns.length > 0) {
+        issues.push({
+            file,
+            line: headerRecord.line,
+            reason: `Missing required column(s): ${missingColumns.map(c => c.name).join(', ')}`,
+        });
+        return { header, data: [], issues };
+    }
+
+    const columnsByName = new Map(schema.columns.map(c => [c.name, c]));
+    // Trailing unnamed header columns may be absent or empty on a row
+    const lastNamedIndex = rawHeader.reduce((last, h, idx) => (h !== '' ? idx : last), -1);
+
+    const data = rows.reduce((acc, { line, fields }) => {
+        const extraValues = fields.slice(rawHeader.length).filter(v => v.trim() !== '');
+        if (fields.length <= lastNamedIndex || extraValues.length > 0) {
+            issues.push({ file, line, reason: `Expected ${rawHeader.length} fields, found ${fields.length}` });
+            return acc;
+        }
+
+        const row = {};
+        const rowProblems = [];
+        rawHeader.forEach((key, idx) => {
+            if (key === '') return;
+            const raw = (fields[idx] ?? '').trim();
+            const value = MISSING_VALUES.has(raw) ? 'N/A' : raw;
+            row[key] = value;
+
+            const column = columnsByName.get(key);
+            if (!column) return;
+            if (value === 'N/A') {
+                if (!column.nullable) rowProblems.push(`${key}: value is missing`);
+                return;
+            }
+            const problem = checkValue(column, value);
+            if (problem) rowProblems.push(`${key}: ${problem}`);
+        });
+
+        if (rowProblems.length > 0) {
+            issues.push({ file, line, reason: rowProblems.join('; ') });
+            return acc;
+        }
+        acc.push(row);
+        return acc;
+    }, []);
+
+    return { header, data, issues };
+};
@@ -0,0 +1,34 @@
+// --- Active cohort and status flags of the dashboard config ---
+import { COHORTS, STATUS_FLAGS } from '../config/dashboard';
+
+export const DEFAULT_COHORT = COHORTS[0];
+
+// `?cohort=<id>`; a missing or unknown id opens the default cohort
+export const readCohort = (search) => {
+    const id = new URLSearchParams(search).get('cohort');
+    return COHORTS.find(cohort => cohort.id === id) ?? DEFAULT_COHORT;
+};
+
+// Every data file, list and snapshot belongs to one cohort, so switching loads
+// the page afresh. Filters are not carried over; the open page (#audit) is.
+export const getCohortUrl = (cohort) => {
+    const { pathname, hash } = window.location;
+    const query = cohort === DEFAULT_COHORT ? '' : `?cohort=${encodeURIComponent(cohort.id)}`;
+    return `${pathname}${query}${hash}`;
+};
+
+// Per-cohort browser storage: `svi-dashboard:<name>:<cohort id>`, so a view
+// or last visit in one cohort never leaks into another. The default cohort
+// still reads what was saved under `svi-dashboard:<name>` before cohorts.
+const getStorageKey = (name, cohort) => `svi-dashboard:${name}:${cohort.id}`;
+
+export const readCohortStorage = (name, cohort) => window.localStorage.getItem(getStorageKey(name, cohort))
+    ?? (cohort === DEFAULT_COHORT ? window.localStorage.getItem(`svi-dashboard:${name}`) : null);
+
+export const writeCohortStorage = (name, cohort, value) => {
+    window.localStorage.setItem(getStorageKey(name, cohort), value);
+};
+
+export const getStatusFlag = (key) => STATUS_FLAGS.find(flag => flag.key === key);
+
+export const isFlagSet = (row, key) => getStatusFlag(key).value(row) === '1';
@@ -0,0 +1,33 @@
+// --- Date helpers for the YYYY-MM-DD strings written by the R pipeline ---
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Parses a YYYY-MM-DD string as local midnight; returns null for 'N/A' or bad input.
+export const parseDate = (value) => {
+    if (!value || value === 'N/A') return null;
+    const date = new Date(`${value}T00:00:00`);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Whole calendar days from `start` to `end`, rounded to absorb DST shifts.
+export const daysBetween = (start, end) => Math.round((end - start) / MS_PER_DAY);
+
+export const formatDate = (date) => date.toLocaleDateString();
+
+// Rough age for badges: "just now", "12 min ago", "5 h ago", "3 days ago"
+export const formatAge = (date, now = new Date()) => {
+    const minutes = Math.floor((now - date) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+// Formats a Date as YYYY-MM-DD in local time, the format the CSV files use.
+export const toIsoDate = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
@@ -0,0 +1,10 @@
+// --- Saves generated content as a file in the browser ---
+export const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking in the same task can cancel the download in Safari and Firefox
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
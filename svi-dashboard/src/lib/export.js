@@ -0,0 +1,182 @@
+// --- Table export as CSV (RFC 4180) and XLSX ---
+// Both take the rows in display order and the column names to write, so an
+// export matches the table the user is looking at. Values are written as the
+// dashboard holds them, including 'N/A'. `getValue(row, column)` reads a cell;
+// pass the table's own getter for columns joined in from other files.
+
+const readColumn = (row, column) => row[column];
+
+// --- CSV ---
+
+const quoteCsv = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsvLine = (fields) => fields.map(quoteCsv).join(',');
+
+// Spreadsheet apps evaluate a cell starting with one of these as a formula.
+// Free-text columns such as Comments can, so exported values are prefixed
+// with a quote. formatCsvLine stays literal for the data files (see phi.js).
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const escapeFormula = (value) => {
+    const text = String(value ?? '');
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+// Starts with a byte order mark so Excel reads the file as UTF-8
+export const buildCsv = (rows, columns, { getValue = readColumn } = {}) => {
+    const lines = [columns, ...rows.map(row => columns.map(column => escapeFormula(getValue(row, column))))];
+    return '\uFEFF' + lines.map(formatCsvLine).join('\r\n') + '\r\n';
+};
+
+// --- XLSX ---
+// A workbook with one sheet of inline strings, packed into an uncompressed
+// ZIP archive. This covers what the dashboard exports without pulling in a
+// spreadsheet library.
+
+export const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// XML 1.0 allows no control characters other than tab, LF and CR
+const isXmlChar = (char) => {
+    const code = char.charCodeAt(0);
+    return code > 31 || code === 9 || code === 10 || code === 13;
+};
+
+const escapeXml = (value) => [...String(value ?? '')].filter(isXmlChar).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 0 → A, 25 → Z, 26 → AA
+const columnLetter = (index) => {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+};
+
+const buildSheet = (rows, columns, getValue) => {
+    const cells = (values, rowNumber, style) => values.map((value, index) => (
+        `<c r="${columnLetter(index)}${rowNumber}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+    )).join('');
+    const sheetRows = [
+        `<row r="1">${cells(columns, 1, 1)}</row>`,
+        ...rows.map((row, index) => `<row r="${index + 2}">${cells(columns.map(column => getValue(row, column)), index + 2)}</row>`),
+    ];
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${sheetRows.join('')}</sheetData>`
+        + '</worksheet>';
+};
+
+const workbookFiles = (rows, columns, getValue, sheetName) => ({
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    // Style 1 is the bold header row
+    'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>',
+    'xl/worksheets/sheet1.xml': buildSheet(rows, columns, getValue),
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// ZIP archive with every entry stored (method 0)
+const buildZip = (files, date = new Date()) => {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const header = (size) => {
+        const buffer = new Uint8Array(size);
+        return { buffer, view: new DataView(buffer.buffer) };
+    };
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = header(30);
+        local.view.setUint32(0, 0x04034B50, true);
+        local.view.setUint16(4, 20, true);
+        local.view.setUint16(10, dosTime, true);
+        local.view.setUint16(12, dosDate, true);
+        local.view.setUint32(14, crc, true);
+        local.view.setUint32(18, data.length, true);
+        local.view.setUint32(22, data.length, true);
+        local.view.setUint16(26, nameBytes.length, true);
+        localParts.push(local.buffer, nameBytes, data);
+
+        const central = header(46);
+        central.view.setUint32(0, 0x02014B50, true);
+        central.view.setUint16(4, 20, true);
+        central.view.setUint16(6, 20, true);
+        central.view.setUint16(12, dosTime, true);
+        central.view.setUint16(14, dosDate, true);
+        central.view.setUint32(16, crc, true);
+        central.view.setUint32(20, data.length, true);
+        central.view.setUint32(24, data.length, true);
+        central.view.setUint16(28, nameBytes.length, true);
+        central.view.setUint32(42, offset, true);
+        centralParts.push(central.buffer, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = header(22);
+    end.view.setUint32(0, 0x06054B50, true);
+    end.view.setUint16(8, Object.keys(files).length, true);
+    end.view.setUint16(10, Object.keys(files).length, true);
+    end.view.setUint32(12, centralSize, true);
+    end.view.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end.buffer], { type: XLSX_TYPE });
+};
+
+// Sheet names are limited to 31 characters and may not contain []:*?/\
+export const buildXlsx = (rows, columns, { sheetName = 'Samples', getValue = readColumn } = {}) =>
+    buildZip(workbookFiles(rows, columns, getValue, sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31)));
@@ -0,0 +1,118 @@
+// --- Groups samples into families around their proband ---
+// Accessioning has no family ID column, so links are inferred from:
+//   - the shared sample number of the cohort's `sampleNumber` pattern, e.g. the
+//     4-digit SVI number (re-accessioned or suffixed IDs)
+//   - a shared MRN or submitter ID (the same patient sampled twice)
+//   - Comments that reference another sample, e.g. "Mother of MCW_SVI_0060",
+//     "Father of SVI_MCW_0102", "Mother of 22-0234" (AGen ID) or "MRN 2486896"
+import { isProcessed } from '../config/dashboard';
+
+const AGEN_REFERENCE = /\b\d{2}-\d{4}\b/g;
+const MRN_REFERENCE = /\bMRN:?\s*(\d+)/gi;
+const RELATION = /\b(Twin brother|Twin sister|Twin|Mother|Father|Brother|Sister|Sibling|Grandparent|Grandmother|Grandfather|Aunt|Uncle|Cousin|Son|Daughter)\s+of\b/i;
+
+export const getSampleNumber = (sampleId, cohort) => {
+    const match = cohort.sampleNumber.exec(sampleId ?? '');
+    return match ? match[1] : null;
+};
+
+export const getRelation = (sample) => {
+    if (sample.proband === '1') return 'Proband';
+    const match = RELATION.exec(sample.Comments ?? '');
+    return match ? match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase() : 'Relative';
+};
+
+// Minimal union-find over sample indices
+const createDisjointSet = (size) => {
+    const parent = Array.from({ length: size }, (_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent[rootB] = rootA;
+    };
+    return { find, union };
+};
+
+// Placeholders such as "Not provided" contain no digits and must not link samples
+const isPresent = (value) => Boolean(value) && value !== 'N/A' && /\d/.test(value);
+
+// Samples without a number follow the numbered ones
+const createNumberComparator = (cohort) => (a, b) => {
+    const numberA = getSampleNumber(a['Sample ID'], cohort);
+    const numberB = getSampleNumber(b['Sample ID'], cohort);
+    if (Boolean(numberA) !== Boolean(numberB)) return numberA ? -1 : 1;
+    return (numberA ?? '').localeCompare(numberB ?? '');
+};
+
+// Family-level status: every member sequenced, every proband uploaded to
+// Geneyx (analysis complete) and every proband reported.
+const summarizeFamily = (members) => {
+    const probands = members.filter(m => m.proband === '1');
+    return {
+        allSequenced: members.every(isProcessed),
+        analysisComplete: probands.length > 0 && probands.every(m => m.geneyx_uploaded === '1' || m.report === '1'),
+        reported: probands.length > 0 && probands.every(m => m.report === '1'),
+    };
+};
+
+// Returns families as `{ id, head, members, status }`. `head` is the proband
+// (lowest sample number when there are several) or, for unlinked relatives,
+// the sample itself; `members` lists the head first and then its relatives.
+export const groupFamilies = (samples, cohort) => {
+    const { find, union } = createDisjointSet(samples.length);
+    const numberReference = new RegExp(cohort.sampleNumber.source, `${cohort.sampleNumber.flags.replace('g', '')}g`);
+    const compareNumber = createNumberComparator(cohort);
+    const indexByKey = new Map();
+
+    const link = (key, i) => {
+        if (indexByKey.has(key)) union(indexByKey.get(key), i);
+        else indexByKey.set(key, i);
+    };
+
+    samples.forEach((sample, i) => {
+        const sampleNumber = getSampleNumber(sample['Sample ID'], cohort);
+        if (sampleNumber) link(`number:${sampleNumber}`, i);
+        if (isPresent(sample.MRN)) link(`mrn:${sample.MRN}`, i);
+        if (isPresent(sample['Submitter ID/ Acc. No.'])) link(`submitter:${sample['Submitter ID/ Acc. No.']}`, i);
+        if (isPresent(sample['AGen ID'])) link(`agen:${sample['AGen ID'].split(' ')[0]}`, i);
+    });
+
+    samples.forEach((sample, i) => {
+        const comment = sample.Comments ?? '';
+        if (!RELATION.test(comment) && !/Original ID/i.test(comment)) return;
+        const references = [
+            ...[...comment.matchAll(numberReference)].map(m => `number:${m[1]}`),
+            ...[...comment.matchAll(AGEN_REFERENCE)].map(m => `agen:${m[0]}`),
+            ...[...comment.matchAll(MRN_REFERENCE)].map(m => `mrn:${m[1]}`),
+        ];
+        references.forEach(key => {
+            if (indexByKey.has(key)) union(indexByKey.get(key), i);
+        });
+    });
+
+    const groups = new Map();
+    samples.forEach((sample, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(sample);
+    });
+
+    return [...groups.values()].map(group => {
+        const probands = group.filter(m => m.proband === '1').sort(compareNumber);
+        const head = probands[0] ?? [...group].sort(compareNumber)[0];
+        const relatives = group.filter(m => m !== head).sort(compareNumber);
+        return {
+            id: head['Sample ID'],
+            head,
+            members: [head, ...relatives],
+            status: summarizeFamily(group),
+        };
+    });
+};
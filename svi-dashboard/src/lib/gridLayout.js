@@ -0,0 +1,61 @@
+// --- Sample table layout: column order, visibility and widths ---
+// A layout is `[{ column, visible, width }]` in display order, kept per
+// browser and cohort in localStorage. It may name columns the loaded data lacks (e.g.
+// PHI columns on a de-identified build); resolveGridLayout reconciles it.
+import { readCohortStorage, writeCohortStorage } from './dashboard';
+import { GRID_CONFIG, DEFAULT_GRID_COLUMNS, LOCKED_GRID_COLUMNS } from '../config/grid';
+
+const GRID_LAYOUT_STORAGE_NAME = 'grid-layout';
+
+export const DEFAULT_GRID_LAYOUT = DEFAULT_GRID_COLUMNS.map(entry => ({ ...entry, visible: true }));
+
+const isLayoutEntry = (entry) => typeof entry?.column === 'string' && typeof entry.visible === 'boolean' && Number.isFinite(entry.width);
+
+export const loadGridLayout = (cohort) => {
+    try {
+        const layout = JSON.parse(readCohortStorage(GRID_LAYOUT_STORAGE_NAME, cohort));
+        return Array.isArray(layout) && layout.every(isLayoutEntry) ? layout : DEFAULT_GRID_LAYOUT;
+    } catch {
+        return DEFAULT_GRID_LAYOUT;
+    }
+};
+
+export const saveGridLayout = (layout, cohort) => {
+    writeCohortStorage(GRID_LAYOUT_STORAGE_NAME, cohort, JSON.stringify(layout));
+};
+
+// The layout restricted to `available` columns. Available columns the layout
+// has never seen are appended hidden, so new pipeline columns can be turned on
+// from the columns menu without upsetting a saved layout.
+export const resolveGridLayout = (layout, available) => {
+    const known = new Set(layout.map(entry => entry.column));
+    return [
+        ...layout.filter(entry => available.includes(entry.column)),
+        ...available
+            .filter(column => !known.has(column))
+            .map(column => ({ column, visible: false, width: GRID_CONFIG.defaultColumnWidth })),
+    ].map(entry => (LOCKED_GRID_COLUMNS.includes(entry.column) ? { ...entry, visible: true } : entry));
+};
+
+// Edits apply to the full stored layout, so columns that are unavailable for
+// now keep their place and settings
+const withEntry = (layout, column) => (layout.some(entry => entry.column === column)
+    ? layout
+    : [...layout, { column, visible: false, width: GRID_CONFIG.defaultColumnWidth }]);
+
+export const updateGridColumn = (layout, column, changes) => withEntry(layout, column)
+    .map(entry => (entry.column === column ? { ...entry, ...changes } : entry));
+
+export const resizeGridColumn = (layout, column, width) =>
+    updateGridColumn(layout, column, { width: Math.max(GRID_CONFIG.minColumnWidth, Math.round(width)) });
+
+// Moves `column` to the position of `target`, shifting the rest along
+export const moveGridColumn = (layout, column, target) => {
+    const entries = withEntry(withEntry(layout, column), target);
+    const from = entries.findIndex(entry => entry.column === column);
+    const to = entries.findIndex(entry => entry.column === target);
+    if (from === to) return layout;
+    const next = [...entries];
+    next.splice(to, 0, ...next.splice(from, 1));
+    return next;
+};
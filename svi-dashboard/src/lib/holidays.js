@@ -0,0 +1,60 @@
+// --- NYSE holiday calendar, matching timeDate::holidayNYSE() in Database_Script.R ---
+import { toIsoDate } from './dates';
+
+const nthWeekdayOfMonth = (year, month, weekday, n) => {
+    const first = new Date(year, month, 1);
+    const offset = (weekday - first.getDay() + 7) % 7;
+    return new Date(year, month, 1 + offset + (n - 1) * 7);
+};
+
+const lastWeekdayOfMonth = (year, month, weekday) => {
+    const last = new Date(year, month + 1, 0);
+    const offset = (last.getDay() - weekday + 7) % 7;
+    return new Date(year, month, last.getDate() - offset);
+};
+
+// Anonymous Gregorian algorithm
+const easterSunday = (year) => {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+};
+
+// Fixed-date holidays move to Friday when on a Saturday and Monday when on a
+// Sunday. New Year's Day on a Saturday is not observed.
+const observed = (date, { skipSaturday = false } = {}) => {
+    const day = date.getDay();
+    if (day === 0) return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    if (day === 6) return skipSaturday ? null : new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+    return date;
+};
+
+// Returns the YYYY-MM-DD dates the exchange is closed in `year`.
+export const getNyseHolidays = (year) => {
+    const easter = easterSunday(year);
+    const holidays = [
+        observed(new Date(year, 0, 1), { skipSaturday: true }),
+        nthWeekdayOfMonth(year, 0, 1, 3),                                    // Martin Luther King Jr. Day
+        nthWeekdayOfMonth(year, 1, 1, 3),                                    // Washington's Birthday
+        new Date(easter.getFullYear(), easter.getMonth(), easter.getDate() - 2), // Good Friday
+        lastWeekdayOfMonth(year, 4, 1),                                      // Memorial Day
+        year >= 2022 ? observed(new Date(year, 5, 19)) : null,               // Juneteenth
+        observed(new Date(year, 6, 4)),
+        nthWeekdayOfMonth(year, 8, 1, 1),                                    // Labor Day
+        nthWeekdayOfMonth(year, 10, 4, 4),                                   // Thanksgiving
+        observed(new Date(year, 11, 25)),
+    ];
+    return holidays.filter(Boolean).map(toIsoDate);
+};
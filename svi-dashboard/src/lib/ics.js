@@ -0,0 +1,80 @@
+// --- iCalendar (RFC 5545) export for analysis meetings ---
+// Meetings have no fixed time in the schedule, so each one is an all-day event.
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const encoder = new TextEncoder();
+
+// Lines longer than 75 octets of UTF-8 are folded with CRLF + space; the space
+// counts towards the next line's 75. Iterating by code point keeps multi-byte
+// characters whole.
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            parts.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+};
+
+const toIcsDate = (isoDate) => isoDate.replace(/-/g, '');
+
+const toIcsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const nextDay = (isoDate) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + 1));
+    return date.toISOString().slice(0, 10);
+};
+
+// `meetings` are analysis_scheduler.csv rows (Sample ID, meeting_date, reason_for_priority).
+// `calendar` is the cohort's `{ name, prodId, eventTitle, uidDomain }` from the dashboard config.
+export const buildMeetingCalendar = (meetings, { name, prodId, eventTitle, uidDomain }) => {
+    const stamp = toIcsTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${prodId}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    meetings
+        .filter(meeting => meeting.meeting_date && meeting.meeting_date !== 'N/A')
+        .forEach(meeting => {
+            const sampleId = meeting['Sample ID'];
+            const details = [
+                meeting.reason_for_priority && `Priority: ${meeting.reason_for_priority}`,
+                meeting.Identifier && `Type: ${meeting.Identifier}`,
+                meeting['Date Received'] && `Received: ${meeting['Date Received']}`,
+            ].filter(Boolean).join('\n');
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${escapeText(`${sampleId}-${meeting.meeting_date}@${uidDomain}`)}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${toIcsDate(meeting.meeting_date)}`,
+                `DTEND;VALUE=DATE:${toIcsDate(nextDay(meeting.meeting_date))}`,
+                `SUMMARY:${escapeText(`${eventTitle}: ${sampleId}`)}`,
+                `DESCRIPTION:${escapeText(details)}`,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT',
+            );
+        });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,25 @@
+// --- PHI handling: masking, de-identified rows and de-identified data files ---
+// Also imported by server/index.js and vite.config.js under plain Node, so the
+// imports here carry file extensions.
+import { parseCsv } from './csv.js';
+import { formatCsvLine } from './export.js';
+
+const MASK = '••••••';
+
+export const maskValue = (value) => (value === 'N/A' ? value : MASK);
+
+// `schema` is the cohort's database file schema (see lib/schemas)
+export const isPhiColumn = (column, schema) => schema.columns.some(c => c.name === column && c.phi);
+
+// Copy of a sample without its PHI columns
+export const deidentifyRow = (row, schema) => Object.fromEntries(Object.entries(row).filter(([key]) => !isPhiColumn(key, schema)));
+
+// Rewrites a database file without the PHI columns of its schema; the result
+// still loads with that schema. Family links that only exist through an MRN or
+// a comment are lost with them.
+export const deidentifyCsv = (text, schema) => {
+    const { records } = parseCsv(text);
+    if (records.length === 0) return text;
+    const keep = records[0].fields.map(h => !isPhiColumn(h.trim(), schema));
+    return records.map(({ fields }) => formatCsvLine(fields.filter((_, i) => keep[i] ?? true))).join('\n') + '\n';
+};
@@ -0,0 +1,163 @@
+// --- Search box query language ---
+// Bare words search every column except the 0/1 flags; `field:value` scopes a
+// term to one column (see QUERY_FIELDS). Terms are ANDed, `OR` separates
+// alternatives and a leading `-` negates a term:
+//   id:UDD received:>=2025-01-01 -report:1 OR comments:"low coverage"
+import { QUERY_FIELDS } from '../config/query';
+
+const OR = 'OR';
+const DATE_OPERATORS = ['>=', '<=', '>', '<'];
+const FULL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const PARTIAL_DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const FIELD_TERM = /^([A-Za-z_]+):(.*)$/s;
+const FLAG_VALUES = ['0', '1'];
+
+const fieldsByName = new Map(QUERY_FIELDS.map(field => [field.name, field]));
+const flagColumns = new Set(QUERY_FIELDS.filter(field => field.type === 'flag').map(field => field.column));
+
+// Splits on whitespace outside double quotes. Tokens keep their offsets so an
+// error or a suggestion can point back into the input.
+const tokenize = (text) => {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        if (/\s/.test(text[i])) {
+            i += 1;
+            continue;
+        }
+        const start = i;
+        let inQuotes = false;
+        while (i < text.length && (inQuotes || !/\s/.test(text[i]))) {
+            if (text[i] === '"') inQuotes = !inQuotes;
+            i += 1;
+        }
+        tokens.push({ text: text.slice(start, i), start, end: i, unterminated: inQuotes });
+    }
+    return tokens;
+};
+
+const unquote = (value) => (value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value);
+
+// `{ term }` or `{ error }` for a single token
+const parseTerm = (token, hiddenColumns) => {
+    const fail = (message) => ({ error: { message, start: token.start, end: token.end } });
+    if (token.unterminated) return fail('Missing closing quote');
+
+    const negate = token.text.startsWith('-');
+    const rest = negate ? token.text.slice(1) : token.text;
+    if (!rest) return fail('Nothing to negate after "-"');
+
+    const fieldMatch = FIELD_TERM.exec(rest);
+    if (!fieldMatch) return { term: { negate, field: null, op: '=', value: unquote(rest).toLowerCase() } };
+
+    const [, name, rawValue] = fieldMatch;
+    const field = fieldsByName.get(name.toLowerCase());
+    if (!field) return fail(`Unknown field "${name}". Fields: ${QUERY_FIELDS.map(f => f.name).join(', ')}`);
+    if (hiddenColumns.includes(field.column)) return fail(`${field.name}: is hidden in de-identified mode`);
+
+    const op = DATE_OPERATORS.find(operator => rawValue.startsWith(operator)) ?? '=';
+    if (op !== '=' && field.type !== 'date') return fail(`${field.name}: only dates can be compared`);
+    const value = unquote(rawValue.slice(op === '=' ? 0 : op.length));
+
+    if (!value) return fail(`${field.name}: is missing a value`);
+    if (field.type === 'flag' && !FLAG_VALUES.includes(value)) return fail(`${field.name}: expects 0 or 1`);
+    if (field.type === 'date') {
+        const isMissing = op === '=' && value.toUpperCase() === 'N/A';
+        if (!isMissing && !(op === '=' ? PARTIAL_DATE : FULL_DATE).test(value)) {
+            return fail(`${field.name}: expects a date like 2025-01-31${op === '=' ? ', 2025-01 or N/A' : ''}`);
+        }
+    }
+    return { term: { negate, field, op, value: value.toLowerCase() } };
+};
+
+// Parses `text` into OR-groups of ANDed terms. `hiddenColumns` are the PHI
+// columns while de-identified: bare words skip them and naming them is an
+// error. Returns `{ groups, error }`; error is `{ message, start, end }`.
+export const parseQuery = (text, { hiddenColumns = [] } = {}) => {
+    const groups = [[]];
+    let lastOr = null;
+    for (const token of tokenize(text)) {
+        if (token.text === OR) {
+            if (groups[groups.length - 1].length === 0) return { groups: [], error: { message: 'OR needs a term on both sides', start: token.start, end: token.end } };
+            groups.push([]);
+            lastOr = token;
+            continue;
+        }
+        const { term, error } = parseTerm(token, hiddenColumns);
+        if (error) return { groups: [], error };
+        groups[groups.length - 1].push(term);
+    }
+    if (lastOr && groups[groups.length - 1].length === 0) {
+        return { groups: [], error: { message: 'OR needs a term on both sides', start: lastOr.start, end: lastOr.end } };
+    }
+    return { groups: groups[0].length === 0 ? [] : groups, error: null };
+};
+
+const matchesField = (cell, { field, op, value }) => {
+    const text = String(cell ?? 'N/A').toLowerCase();
+    switch (field.type) {
+        case 'date':
+            if (op === '=') return text.startsWith(value);
+            if (text === 'n/a') return false;
+            if (op === '>') return text > value;
+            if (op === '>=') return text >= value;
+            if (op === '<') return text < value;
+            return text <= value;
+        case 'text':
+            return text.includes(value);
+        default:
+            return text === value;
+    }
+};
+
+// Whether `row` matches a parsed query; an empty query matches everything
+export const matchesQuery = (row, { groups }, { hiddenColumns = [] } = {}) => {
+    if (groups.length === 0) return true;
+    const matchesTerm = (term) => {
+        const matched = term.field
+            ? matchesField(row[term.field.column], term)
+            : Object.entries(row).some(([column, cell]) =>
+                !flagColumns.has(column) && !hiddenColumns.includes(column) && String(cell).toLowerCase().includes(term.value));
+        return matched !== term.negate;
+    };
+    return groups.some(group => group.every(matchesTerm));
+};
+
+// --- Autocomplete ---
+// Values offered after `field:`; free-text and date fields have none
+export const getKnownValues = (rows) => Object.fromEntries(QUERY_FIELDS.map(({ column, type }) => {
+    if (type === 'flag') return [column, FLAG_VALUES];
+    if (type === 'enum') return [column, [...new Set(rows.map(row => row[column]).filter(value => value && value !== 'N/A'))].sort()];
+    return [column, []];
+}));
+
+const quoteValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// Suggestions for the token under the cursor: field names while typing a bare
+// word, known values after `field:`. Each suggestion replaces the text between
+// `start` and `end`.
+export const getSuggestions = (text, cursor, { knownValues, hiddenColumns = [] }) => {
+    const token = tokenize(text).find(t => t.start < cursor && cursor <= t.end);
+    if (!token || token.text === OR) return { suggestions: [], start: cursor, end: cursor };
+
+    const typed = text.slice(token.start, cursor);
+    const sign = typed.startsWith('-') ? '-' : '';
+    const prefix = typed.slice(sign.length);
+    const visibleFields = QUERY_FIELDS.filter(field => !hiddenColumns.includes(field.column));
+    const range = { start: token.start, end: token.end };
+
+    const fieldMatch = FIELD_TERM.exec(prefix);
+    if (!fieldMatch) {
+        const suggestions = visibleFields
+            .filter(field => prefix && field.name.startsWith(prefix.toLowerCase()))
+            .map(field => ({ label: `${field.name}:`, hint: field.column, insert: `${sign}${field.name}:` }));
+        return { suggestions, ...range };
+    }
+
+    const field = visibleFields.find(f => f.name === fieldMatch[1].toLowerCase());
+    const partial = fieldMatch[2].replace(/^"/, '').toLowerCase();
+    const suggestions = (field ? knownValues[field.column] ?? [] : [])
+        .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+        .map(value => ({ label: value, hint: field.column, insert: `${sign}${field.name}:${quoteValue(value)} ` }));
+    return { suggestions, ...range };
+};
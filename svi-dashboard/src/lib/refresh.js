@@ -0,0 +1,76 @@
+// --- Conditional fetching of the data files and merging of refreshed samples ---
+import { loadCsv } from './csv';
+import { isProcessed } from '../config/dashboard';
+
+// Fetches a CSV file, revalidating with the ETag / Last-Modified of the copy
+// already loaded. Resolves null when the server answers 304 Not Modified.
+// Optional files that fail to load come back empty with an issue; required
+// ones throw.
+export const fetchDataFile = async (schema, { required, validators = null }) => {
+    const headers = {};
+    if (validators?.etag) headers['If-None-Match'] = validators.etag;
+    if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const response = await fetch(schema.path, { headers, cache: 'no-store' });
+    if (response.status === 304) return null;
+    const nextValidators = { etag: response.headers.get('ETag'), lastModified: response.headers.get('Last-Modified') };
+    if (response.ok) return { ...loadCsv(await response.text(), schema), validators: nextValidators };
+    if (required) throw new Error(`Could not load ${schema.file}: ${response.statusText}`);
+    return { header: [], data: [], issues: [{ file: schema.file, line: null, reason: `Could not load: ${response.statusText}` }], validators: null };
+};
+
+// Samples are matched across loads by Sample ID, the identifier accessioning
+// does not correct. Sample IDs are not always unique (see the
+// duplicate-sample-id audit): the first row with an ID keys by the ID alone,
+// later ones add their SamplePath, and a count if that repeats too. Keys are
+// assigned to each loaded file by assignRowKeys; a row that never went
+// through it keys by its Sample ID.
+const rowKeys = new WeakMap();
+
+export const assignRowKeys = (rows) => {
+    const seen = new Set();
+    rows.forEach(row => {
+        const id = row['Sample ID'] ?? 'N/A';
+        let key = id;
+        if (seen.has(key)) key = `${id}|${row.SamplePath ?? 'N/A'}`;
+        for (let count = 2; seen.has(key); count += 1) key = `${id}|${row.SamplePath ?? 'N/A'}|${count}`;
+        seen.add(key);
+        rowKeys.set(row, key);
+    });
+    return rows;
+};
+
+export const getRowKey = (row) => rowKeys.get(row) ?? row['Sample ID'];
+
+const STATUS_CHANGES = [
+    { label: 'Processed', test: (before, after) => !isProcessed(before) && isProcessed(after) },
+    { label: 'Uploaded to Geneyx', test: (before, after) => before.geneyx_uploaded !== '1' && after.geneyx_uploaded === '1' },
+    { label: 'Reported', test: (before, after) => before.report !== '1' && after.report === '1' },
+];
+
+const hasSameValues = (a, b) => {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+// Merges a fresh load into the current samples, both with assigned keys.
+// Unchanged samples keep their object so selection and per-row state survive; `changes` maps the key of
+// each new sample to ['New'] and of each sample that advanced a stage to the
+// stages it completed.
+export const mergeSamples = (current, next) => {
+    const currentByKey = new Map(current.map(sample => [getRowKey(sample), sample]));
+    const changes = new Map();
+    const samples = next.map(sample => {
+        const key = getRowKey(sample);
+        const before = currentByKey.get(key);
+        if (!before) {
+            changes.set(key, ['New']);
+            return sample;
+        }
+        if (hasSameValues(before, sample)) return before;
+        const stages = STATUS_CHANGES.filter(({ test }) => test(before, sample)).map(({ label }) => label);
+        if (stages.length > 0) changes.set(key, stages);
+        return sample;
+    });
+    return { samples, changes };
+};
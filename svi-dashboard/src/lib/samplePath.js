@@ -0,0 +1,26 @@
+// --- Structured fields parsed from SamplePath ---
+// Samples are given `Volume` and `Chemistry` columns when svi_database.csv is
+// loaded, so the table, filters, search and export treat them like any
+// other column. Both are N/A for samples without a flowcell directory.
+import { STORAGE_CONFIG } from '../config/storage';
+
+export const SAMPLE_PATH_COLUMNS = ['Volume', 'Chemistry'];
+
+const CHEMISTRY = /flowcell_(\d+(?:\.\d+)*)/;
+
+// A volume missing from STORAGE_CONFIG is named after its top-level directory
+const getVolume = (path) => {
+    const volume = STORAGE_CONFIG.volumes.find(({ prefix }) => path.startsWith(prefix));
+    return volume ? volume.name : path.split('/').find(Boolean) ?? 'N/A';
+};
+
+export const parseSamplePath = (path) => {
+    if (!path || path === 'N/A') return { Volume: 'N/A', Chemistry: 'N/A' };
+    return { Volume: getVolume(path), Chemistry: CHEMISTRY.exec(path)?.[1] ?? 'N/A' };
+};
+
+export const withSamplePathFields = (row) => ({ ...row, ...parseSamplePath(row.SamplePath) });
+
+export const isLegacyVolume = (volume) => STORAGE_CONFIG.volumes.some(({ name, legacy }) => legacy && name === volume);
+
+export const needsRebasecalling = (chemistry) => chemistry !== 'N/A' && chemistry !== STORAGE_CONFIG.currentChemistry;
@@ -0,0 +1,106 @@
+// --- Analysis prioritization and meeting-date engine ---
+// A port of the scheduler section of Database_Script.R so the dashboard can
+// rebuild analysis_scheduler.csv in the browser and preview what-if changes.
+// `config` is a cohort's `scheduler` from the dashboard config.
+import { getNyseHolidays } from './holidays';
+import { toIsoDate } from './dates';
+
+const assignPriority = (sample, hotList, config) => {
+    if (hotList.has(sample['Sample ID'])) return { level: config.hotList.level, reason: config.hotList.reason };
+
+    const year = sample.year_received;
+    const tier = config.tiers.find(t => t.identifier === sample.Identifier && (!t.years || t.years.includes(year)));
+    const defaultReason = `${sample.Identifier} ${year ?? 'NA'}`;
+    if (!tier) return { level: config.fallback.level, reason: defaultReason };
+    const level = tier.years ? tier.level + tier.years.indexOf(year) : tier.level;
+    return { level, reason: tier.reason ?? defaultReason };
+};
+
+// Missing values sort last, as dplyr::arrange does
+const compareNullable = (a, b) => {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return a < b ? -1 : 1;
+};
+
+// Unreported probands in priority order, with the same derived columns as
+// analysis_scheduler.csv except meeting_date.
+export const prioritizeSamples = (samples, { hotList = [], config }) => {
+    const hotListSet = new Set(hotList);
+
+    return samples
+        .filter(sample => sample.proband === '1' && sample.report === '0')
+        .map(sample => {
+            const received = sample['Date Received'] !== 'N/A' ? sample['Date Received'] : null;
+            const idNumber = /\d+/.exec(sample['Sample ID']);
+            const entry = {
+                'Sample ID': sample['Sample ID'],
+                proband: sample.proband,
+                'Date Received': sample['Date Received'],
+                Identifier: sample.Identifier,
+                report: sample.report,
+                year_received: received ? Number(received.slice(0, 4)) : null,
+                sample_id_num: idNumber ? Number(idNumber[0]) : null,
+            };
+            const { level, reason } = assignPriority(entry, hotListSet, config);
+            return { entry: { ...entry, priority_level: level, reason_for_priority: reason }, received };
+        })
+        .sort((a, b) =>
+            a.entry.priority_level - b.entry.priority_level
+            || compareNullable(a.received, b.received)
+            || compareNullable(a.entry.sample_id_num, b.entry.sample_id_num))
+        .map(({ entry }, index) => ({ ...entry, priority_rank: index + 1 }));
+};
+
+// The next `count` meeting dates on or after `from`, skipping canceled dates
+// and, when configured, NYSE holidays.
+export const generateMeetingDates = (count, { from, meetingDays, canceledDates = [], skipNyseHolidays = true }) => {
+    const dates = [];
+    if (meetingDays.length === 0) return dates;
+
+    const canceled = new Set(canceledDates);
+    const holidaysByYear = new Map();
+    const isHoliday = (date) => {
+        if (!skipNyseHolidays) return false;
+        const year = date.getFullYear();
+        if (!holidaysByYear.has(year)) holidaysByYear.set(year, new Set(getNyseHolidays(year)));
+        return holidaysByYear.get(year).has(toIsoDate(date));
+    };
+
+    const cursor = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    while (dates.length < count) {
+        const iso = toIsoDate(cursor);
+        if (meetingDays.includes(cursor.getDay()) && !canceled.has(iso) && !isHoliday(cursor)) {
+            dates.push(iso);
+        }
+        cursor.setDate(cursor.getDate() + 1);
+    }
+    return dates;
+};
+
+// Rebuilds analysis_scheduler.csv rows from svi_database.csv rows. Values are
+// strings, matching what the CSV loader produces for the published file.
+export const buildSchedule = (samples, {
+    hotList = [],
+    canceledDates = [],
+    config,
+    today = new Date(),
+}) => {
+    const prioritized = prioritizeSamples(samples, { hotList, config });
+    const meetingDates = generateMeetingDates(prioritized.length, {
+        from: today,
+        meetingDays: config.meetingDays,
+        canceledDates,
+        skipNyseHolidays: config.skipNyseHolidays,
+    });
+
+    return prioritized.map((entry, index) => ({
+        ...entry,
+        year_received: entry.year_received === null ? 'N/A' : String(entry.year_received),
+        sample_id_num: entry.sample_id_num === null ? 'N/A' : String(entry.sample_id_num),
+        priority_level: String(entry.priority_level),
+        priority_rank: String(entry.priority_rank),
+        meeting_date: meetingDates[index] ?? 'N/A',
+    }));
+};
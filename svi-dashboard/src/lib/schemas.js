@@ -0,0 +1,39 @@
+// --- Schemas for the CSV files a cohort loads ---
+// A cohort's `files` in the dashboard config declare each file by role with
+// its columns; a schema adds the path it is fetched from. Also imported by
+// server/index.js, server/lists.js and vite.config.js under plain Node.
+
+const schemasByCohort = new WeakMap();
+
+// `{ database, schedule, hotList, canceledMeetings, snapshotIndex }` for a
+// cohort: each file is fetched below the cohort's `dataPath` and its
+// Identifier column checked against the cohort's identifier types. A cohort
+// gets the same schema objects on every call.
+export const getCohortSchemas = (cohort) => {
+    if (!schemasByCohort.has(cohort)) {
+        schemasByCohort.set(cohort, Object.fromEntries(Object.entries(cohort.files).map(([role, { file, columns }]) => [role, {
+            file,
+            path: `${cohort.dataPath}/${file}`,
+            columns: columns.map(column => (column.values === 'identifiers' ? { ...column, values: cohort.identifiers } : column)),
+        }])));
+    }
+    return schemasByCohort.get(cohort);
+};
+
+export const getPhiColumns = (schema) => schema.columns.filter(c => c.phi).map(c => c.name);
+
+export const getMaskedColumns = (schema) => schema.columns.filter(c => c.phi === 'identifier').map(c => c.name);
+
+// A dated copy of a cohort's data file, e.g. /snapshots/2025-08-12/svi_database.csv
+export const getSnapshotSchema = (schema, date, cohort) => ({
+    ...schema,
+    file: `snapshots/${date}/${schema.file}`,
+    path: `${cohort.dataPath}/snapshots/${date}/${schema.file}`,
+});
+
+// The cohort whose data directory serves `pathname`, snapshots included: the
+// longest matching `dataPath`, so /cohorts/<id>/ files are not taken for the
+// root cohort's
+export const findPathCohort = (cohorts, pathname) => cohorts
+    .filter(cohort => pathname.startsWith(`${cohort.dataPath}/`))
+    .sort((a, b) => b.dataPath.length - a.dataPath.length)[0] ?? null;
@@ -0,0 +1,82 @@
+// --- Typed, multi-column sorting of the sample table ---
+// A sort is `[{ key, direction }]` in priority order. Columns compare by the
+// type the cohort's schemas declare; Sample IDs compare by their sample number
+// first so MCW_SVI_0099 sorts before MCW_SVI_0100 whatever the prefix or
+// suffix. N/A sorts last in either direction.
+import { getCohortSchemas } from './schemas';
+import { getSampleNumber } from './families';
+
+const isMissing = (value) => value === undefined || value === null || value === '' || value === 'N/A';
+
+const compareText = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+const compareNumbers = (a, b) => {
+    const difference = Number(a) - Number(b);
+    return Number.isNaN(difference) ? compareText(a, b) : difference;
+};
+
+// IDs without a sample number follow the numbered ones
+const createSampleIdComparator = (cohort) => (a, b) => {
+    const numberA = getSampleNumber(a, cohort);
+    const numberB = getSampleNumber(b, cohort);
+    if (numberA && numberB && Number(numberA) !== Number(numberB)) return Number(numberA) - Number(numberB);
+    if (Boolean(numberA) !== Boolean(numberB)) return numberA ? -1 : 1;
+    return compareText(a, b);
+};
+
+// Dates are YYYY-MM-DD, so they order as plain strings
+const compareDates = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const SCHEMA_SORT_TYPES = { date: 'date', integer: 'number', flag: 'number' };
+
+export const getSortType = (column, cohort) => {
+    if (column === 'Sample ID') return 'sampleId';
+    const { schedule, database } = getCohortSchemas(cohort);
+    const declared = [...database.columns, ...schedule.columns].find(c => c.name === column);
+    return SCHEMA_SORT_TYPES[declared?.type] ?? 'text';
+};
+
+// Comparator for Array#sort; `getValue(row, key)` reads a cell, so joined
+// columns sort like any other
+export const createRowComparator = (sorts, getValue, cohort) => {
+    const comparators = {
+        date: compareDates,
+        number: compareNumbers,
+        sampleId: createSampleIdComparator(cohort),
+        text: compareText,
+    };
+    const keys = sorts.map(({ key, direction }) => ({
+        key,
+        compare: comparators[getSortType(key, cohort)],
+        sign: direction === 'descending' ? -1 : 1,
+    }));
+    return (a, b) => {
+        for (const { key, compare, sign } of keys) {
+            const valueA = getValue(a, key);
+            const valueB = getValue(b, key);
+            const missingA = isMissing(valueA);
+            const missingB = isMissing(valueB);
+            let result;
+            if (missingA || missingB) result = missingA === missingB ? 0 : missingA ? 1 : -1;
+            else result = sign * compare(valueA, valueB);
+            if (result !== 0) return result;
+        }
+        return 0;
+    };
+};
+
+// Header click: a plain click sorts by that column alone, toggling its
+// direction if it already was the only key. Shift-click adds the column as the
+// next key, or cycles an existing key ascending → descending → removed. The
+// last remaining key is never removed.
+export const toggleSort = (sorts, key, additive) => {
+    const existing = sorts.find(sort => sort.key === key);
+    const flip = (direction) => sorts.map(sort => (sort.key === key ? { key, direction } : sort));
+    if (!additive) {
+        const direction = sorts.length === 1 && existing?.direction === 'ascending' ? 'descending' : 'ascending';
+        return [{ key, direction }];
+    }
+    if (!existing) return [...sorts, { key, direction: 'ascending' }];
+    if (existing.direction === 'ascending') return flip('descending');
+    return sorts.length > 1 ? sorts.filter(sort => sort.key !== key) : flip('ascending');
+};
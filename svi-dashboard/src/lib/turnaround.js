@@ -0,0 +1,64 @@
+// --- Turnaround: durations between pipeline stages, targets and aging ---
+import { parseDate, daysBetween } from './dates';
+import { AGING_BUCKETS } from '../config/turnaround';
+import { isProcessed } from '../config/dashboard';
+
+// Geneyx and report dates come from the optional geneyx_date / report_date
+// columns, so those stages are empty for exports that predate them.
+export const TURNAROUND_STAGES = [
+    { key: 'receivedToProcessed', label: 'Received → Processed', start: 'Date Received', end: 'DataDate' },
+    { key: 'processedToGeneyx', label: 'Processed → Geneyx', start: 'DataDate', end: 'geneyx_date' },
+    { key: 'receivedToReport', label: 'Received → Report', start: 'Date Received', end: 'report_date' },
+];
+
+// One `{ sample, identifier, days, endDate }` per sample with both stage dates.
+// Negative spans are data-entry errors and are left out.
+export const getStageDurations = (samples, stage) => samples.flatMap(sample => {
+    const start = parseDate(sample[stage.start]);
+    const end = parseDate(sample[stage.end]);
+    if (!start || !end) return [];
+    const days = daysBetween(start, end);
+    return days < 0 ? [] : [{ sample, identifier: sample.Identifier, days, endDate: end }];
+});
+
+// Linear-interpolated quantile of an ascending array (R's default, type 7)
+export const quantile = (sorted, q) => {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+export const summarizeDurations = (days) => {
+    const sorted = [...days].sort((a, b) => a - b);
+    return { count: sorted.length, median: quantile(sorted, 0.5), p90: quantile(sorted, 0.9) };
+};
+
+// --- Targets and aging ---
+// Stages measured from Date Received against a cohort's turnaround targets.
+// A report implies the Geneyx stage even when the upload flag was never set.
+export const TARGET_STAGES = [
+    { key: 'processed', label: 'Processed', isDone: isProcessed },
+    { key: 'geneyx', label: 'Uploaded to Geneyx', isDone: sample => sample.geneyx_uploaded === '1' || sample.report === '1' },
+    { key: 'reported', label: 'Reported', isDone: sample => sample.report === '1' },
+];
+
+// Whole days since receipt, or null without a receipt date
+export const getSampleAge = (sample, today = new Date()) => {
+    const received = parseDate(sample['Date Received']);
+    return received ? daysBetween(received, today) : null;
+};
+
+// `[{ stage, target }]` for each unfinished stage past its target, with
+// `turnaroundTargets` from the sample's cohort
+export const getOverdueStages = (sample, turnaroundTargets, today = new Date()) => {
+    const targets = turnaroundTargets[sample.Identifier];
+    const age = getSampleAge(sample, today);
+    if (!targets || age === null) return [];
+    return TARGET_STAGES
+        .filter(stage => targets[stage.key] !== undefined && !stage.isDone(sample) && age > targets[stage.key])
+        .map(stage => ({ stage, target: targets[stage.key] }));
+};
+
+export const getAgingBucket = (age) => AGING_BUCKETS.find(({ min, max }) => age >= min && age <= max) ?? null;
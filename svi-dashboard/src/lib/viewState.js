@@ -0,0 +1,103 @@
+// --- Table view state: URL query string and per-browser saved views ---
+// A view is the search term, sort keys, the filter selects (one per status
+// flag of the dashboard config) and the aging bucket picked on the
+// unreported-probands card. Only values that differ from DEFAULT_VIEW are
+// written to the URL, so a plain link to the dashboard still opens on the
+// default view.
+import { AGING_BUCKETS } from '../config/turnaround';
+import { STATUS_FLAGS } from '../config/dashboard';
+import { readCohortStorage, writeCohortStorage } from './dashboard';
+
+const SAVED_VIEWS_STORAGE_NAME = 'views';
+
+export const DEFAULT_VIEW = {
+    search: '',
+    sort: [{ key: 'Date Received', direction: 'descending' }],
+    identifier: 'All',
+    ...Object.fromEntries(STATUS_FLAGS.map(flag => [flag.key, flag.defaultFilter])),
+    volume: 'All',
+    chemistry: 'All',
+    aging: 'All',
+};
+
+// View field → query parameter, named after the filter labels in the table
+const FILTER_PARAMS = {
+    identifier: 'type',
+    ...Object.fromEntries(STATUS_FLAGS.map(flag => [flag.key, flag.param])),
+    volume: 'volume',
+    chemistry: 'chemistry',
+    aging: 'age',
+};
+
+const FLAG_OPTIONS = ['All', '1', '0'];
+const AGING_OPTIONS = ['All', ...AGING_BUCKETS.map(bucket => bucket.key)];
+// Filters whose options come from the data rather than a fixed list
+const DATA_FILTERS = ['identifier', 'volume', 'chemistry'];
+const SORT_DIRECTIONS = { asc: 'ascending', desc: 'descending' };
+
+const encodeSort = (sort) => sort.map(({ key, direction }) => `${key}:${direction === 'ascending' ? 'asc' : 'desc'}`).join(',');
+
+// Views saved before multi-column sorting hold a single `{ key, direction }`
+export const normalizeSort = (sort) => {
+    const sorts = Array.isArray(sort) ? sort : [sort];
+    const valid = sorts.filter(s => typeof s?.key === 'string' && Object.values(SORT_DIRECTIONS).includes(s.direction));
+    return valid.length > 0 ? valid : DEFAULT_VIEW.sort;
+};
+
+// `?q=...&sort=Identifier:asc,Date+Received:desc&type=UDD&proband=1&analyzed=0`.
+// `cohort` is kept in front of the view when a non-default cohort is open; it
+// is not part of the view itself.
+export const encodeViewState = (view, { cohort = null } = {}) => {
+    const params = new URLSearchParams();
+    if (cohort) params.set('cohort', cohort);
+    if (view.search) params.set('q', view.search);
+    if (encodeSort(view.sort) !== encodeSort(DEFAULT_VIEW.sort)) params.set('sort', encodeSort(view.sort));
+    Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+        if (view[field] !== DEFAULT_VIEW[field]) params.set(param, view[field]);
+    });
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+// Unknown or malformed parameters fall back to the default for that field.
+// Type, volume and chemistry are not checked against the data, which may not be
+// loaded yet; an unknown value simply matches no rows.
+export const decodeViewState = (search) => {
+    const params = new URLSearchParams(search);
+    const view = { ...DEFAULT_VIEW, search: params.get('q') ?? '' };
+
+    const sorts = (params.get('sort') ?? '').split(',').map(part => {
+        const separator = part.lastIndexOf(':');
+        return { key: part.slice(0, separator), direction: SORT_DIRECTIONS[part.slice(separator + 1)] };
+    }).filter(({ key, direction }) => key && direction);
+    if (sorts.length > 0) view.sort = sorts;
+
+    Object.entries(FILTER_PARAMS).forEach(([field, param]) => {
+        const value = params.get(param);
+        if (value === null) return;
+        const options = field === 'aging' ? AGING_OPTIONS : FLAG_OPTIONS;
+        if (DATA_FILTERS.includes(field) ? value !== '' : options.includes(value)) view[field] = value;
+    });
+    return view;
+};
+
+// Saved views are kept as `{ [name]: view }` in localStorage, per cohort
+export const loadSavedViews = (cohort) => {
+    try {
+        return JSON.parse(readCohortStorage(SAVED_VIEWS_STORAGE_NAME, cohort)) ?? {};
+    } catch {
+        return {};
+    }
+};
+
+const storeSavedViews = (views, cohort) => {
+    writeCohortStorage(SAVED_VIEWS_STORAGE_NAME, cohort, JSON.stringify(views));
+    return views;
+};
+
+export const saveView = (name, view, cohort) => storeSavedViews({ ...loadSavedViews(cohort), [name]: view }, cohort);
+
+export const deleteView = (name, cohort) => {
+    const { [name]: _removed, ...views } = loadSavedViews(cohort);
+    return storeSavedViews(views, cohort);
+};
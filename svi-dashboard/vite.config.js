@@ -1,7 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFile, writeFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+import { deidentifyCsv } from './src/lib/phi.js'
+import { COHORTS } from './src/config/dashboard.js'
+import { getCohortSchemas, findPathCohort } from './src/lib/schemas.js'
+
+// `vite build --mode deidentified` strips the PHI columns from every copy of a
+// cohort's database file that public/ contributes to dist/, snapshots included
+const deidentifyData = () => {
+  let outDir
+  return {
+    name: 'deidentify-data',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    async closeBundle() {
+      const entries = await readdir(outDir, { recursive: true })
+      for (const entry of entries) {
+        const cohort = findPathCohort(COHORTS, `/${entry.split(path.sep).join('/')}`)
+        const database = cohort && getCohortSchemas(cohort).database
+        if (!database || path.basename(entry) !== database.file) continue
+        const filePath = path.join(outDir, entry)
+        await writeFile(filePath, deidentifyCsv(await readFile(filePath, 'utf8'), database))
+      }
+    },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), mode === 'deidentified' && deidentifyData()],
+  server: {
+    // `npm run serve` provides the list-editing API during development
+    proxy: {
+      '/api': 'http://localhost:8080',
+    },
+  },
+}))